@@ -0,0 +1,107 @@
+// Minimal renderer for the export service (RENDERER=local).
+// Draws a single-page project state onto #comic-canvas:
+//   - canvasWidth / canvasHeight
+//   - the page background (globalBackgroundStyle when useGlobalBackgroundStyle is set, otherwise
+//     the page's backgroundState): a color and/or an image
+//   - panelStates and stickerStates that carry a position (x, y, width, height in canvas pixels),
+//     with their image, and for panels a border and fill
+// Text, speech bubbles, effects and layout templates are only drawn by the full creator app;
+// for production exports serve a pinned creator build with RENDERER_BUNDLE_DIR instead.
+
+(function () {
+    const canvas = document.getElementById('comic-canvas');
+
+    // Image entries keep their data under different names depending on how they were saved
+    function imageSource(image) {
+        if (!image) {
+            return null;
+        }
+        return image.dataUrl || image.src || image.url || image.data || null;
+    }
+
+    function hasBox(item) {
+        return ['x', 'y', 'width', 'height'].every(name => typeof item[name] === 'number');
+    }
+
+    function placeBox(element, item) {
+        element.style.left = `${item.x}px`;
+        element.style.top = `${item.y}px`;
+        element.style.width = `${item.width}px`;
+        element.style.height = `${item.height}px`;
+        if (item.rotation) {
+            element.style.transform = `rotate(${item.rotation}deg)`;
+        }
+    }
+
+    function createImage(source, className) {
+        const img = document.createElement('img');
+        img.className = className;
+        img.src = source;
+        return img;
+    }
+
+    function drawBackground(state, page, imagesById) {
+        const background = (state.useGlobalBackgroundStyle && state.globalBackgroundStyle) || page.backgroundState || {};
+        canvas.style.background = background.backgroundColor || background.color || '#ffffff';
+        const source = imageSource(imagesById.get(background.imageId));
+        if (source) {
+            canvas.appendChild(createImage(source, 'canvas-background-image'));
+        }
+    }
+
+    function drawPanels(page, imagesById) {
+        (page.panelStates || []).forEach((panel, index) => {
+            if (!hasBox(panel)) {
+                console.warn(`[Renderer] Panel ${index} has no x/y/width/height, skipped`);
+                return;
+            }
+            const element = document.createElement('div');
+            element.className = 'canvas-panel';
+            placeBox(element, panel);
+            element.style.background = panel.backgroundColor || 'transparent';
+            element.style.border = `${panel.borderWidth ?? 2}px solid ${panel.borderColor || '#000000'}`;
+            const source = imageSource(imagesById.get(panel.imageId));
+            if (source) {
+                element.appendChild(createImage(source, 'canvas-panel-image'));
+            }
+            canvas.appendChild(element);
+        });
+    }
+
+    function drawStickers(page, imagesById) {
+        (page.stickerStates || []).forEach((sticker, index) => {
+            const source = imageSource(imagesById.get(sticker.imageId));
+            if (!source || !hasBox(sticker)) {
+                console.warn(`[Renderer] Sticker ${index} has no image or position, skipped`);
+                return;
+            }
+            const img = createImage(source, 'canvas-sticker-image');
+            placeBox(img, sticker);
+            canvas.appendChild(img);
+        });
+    }
+
+    window.comicCreator = {
+        lastError: null,
+
+        // Called by the export service with the state of the page to render
+        async _loadProjectFromState(state) {
+            try {
+                const width = state.canvasWidth || 700;
+                const height = state.canvasHeight || 700;
+                document.documentElement.style.setProperty('--canvas-width', `${width}px`);
+                document.documentElement.style.setProperty('--canvas-height', `${height}px`);
+
+                canvas.replaceChildren();
+                const page = state.pages[state.currentPageIndex || 0];
+                const imagesById = new Map((state.images || []).map(image => [image.id, image]));
+                drawBackground(state, page, imagesById);
+                drawPanels(page, imagesById);
+                drawStickers(page, imagesById);
+            } catch (error) {
+                this.lastError = error.message;
+                throw error;
+            }
+        }
+    };
+})();
@@ -12,8 +12,15 @@ import { fileURLToPath } from 'url';
 import fs from 'fs-extra';
 
 // Import the puppeteer export logic from the main project
-import configurePuppeteerExport from './src/puppeteer-export.js';
+import configurePuppeteerExport, { getJobProgress, userCanAccessJob } from './src/puppeteer-export.js';
 import pdfCompressionService from './src/pdf-compression.js';
+import browserPool from './src/browser-pool.js';
+import renderWorkerPool from './src/render-worker-pool.js';
+import { attachProgressWebSocket } from './src/progress-events.js';
+import { authenticate, authenticateRequest } from './src/auth.js';
+import { metricsHandler } from './src/metrics.js';
+import { configureRenderer } from './src/local-renderer.js';
+import { logger } from './src/logger.js';
 
 // Load environment variables
 config();
@@ -35,8 +42,8 @@ const corsOptions = {
         // Add your friend's specific origin if they are testing from a different one
         // or ensure your Vercel deployment URL is correctly whitelisted if that's what they use.
     ],
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Content-Range', 'Authorization'],
     credentials: true,
     preflightContinue: false,
     optionsSuccessStatus: 204
@@ -44,17 +51,20 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
+// Authenticate API requests before the body parsers, so unauthenticated uploads are refused unread
+app.use('/api', authenticate);
+
 // Configure body parser with larger limits for bigger comics
 app.use(express.json({ 
     limit: '300mb',  // Increased from 150mb to support larger comics
     verify: (req, res, buf) => {
         // Add request size logging
         const size = buf.length / (1024 * 1024);  // Convert to MB
-        console.log(`[Server] Received request size: ${size.toFixed(2)}MB`);
+        logger.info(`[Server] Received request size: ${size.toFixed(2)}MB`);
         
         // Warn if approaching limit
         if (size > 250) {
-            console.warn(`[Server] Large request warning: ${size.toFixed(2)}MB (limit: 300MB)`);
+            logger.warn(`[Server] Large request warning: ${size.toFixed(2)}MB (limit: 300MB)`);
         }
     }
 }));
@@ -77,23 +87,26 @@ setInterval(() => {
     // Add warning if memory usage is high
     const rssUsageMB = Math.round(used.rss / 1024 / 1024);
     if (rssUsageMB > 700) {
-        console.warn(`[Server] HIGH MEMORY WARNING! RSS Usage: ${rssUsageMB}MB (Limit: 800MB)`);
+        logger.warn(`[Server] HIGH MEMORY WARNING! RSS Usage: ${rssUsageMB}MB (Limit: 800MB)`);
     } else if (rssUsageMB > 600) {
-        console.warn(`[Server] Memory usage elevated: ${rssUsageMB}MB`);
+        logger.warn(`[Server] Memory usage elevated: ${rssUsageMB}MB`);
     } else {
-        console.log('[Server] Memory usage:', memUsage);
+        logger.info('[Server] Memory usage:', memUsage);
     }
     
     // Force garbage collection if available and memory is high
     if (global.gc && rssUsageMB > 600) {
-        console.log('[Server] Running garbage collection due to high memory usage...');
+        logger.info('[Server] Running garbage collection due to high memory usage...');
         global.gc();
     }
 }, 60000);  // Log every minute
 
+// Renderer the export pages are loaded from; with RENDERER=local it is served here, ahead of request logging since every rendered page fetches it
+const renderer = await configureRenderer(app, PORT);
+
 // Request logging middleware
 app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - Origin: ${req.get('Origin') || 'none'}`);
+    logger.info(`[Request] ${req.method} ${req.path} - Origin: ${req.get('Origin') || 'none'}`);
     next();
 });
 
@@ -107,6 +120,9 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Prometheus metrics (set METRICS_TOKEN to require a bearer token)
+app.get('/metrics', metricsHandler);
+
 // Root endpoint
 app.get('/', (req, res) => {
     res.json({
@@ -114,9 +130,23 @@ app.get('/', (req, res) => {
         status: 'running',
         endpoints: {
             health: '/health',
+            metrics: '/metrics',
+            renderer: '/renderer/ (RENDERER=local)',
             exportPdf: '/api/export-pdf',
+            preview: 'POST /api/preview',
+            projectSchema: '/api/project-schema',
             exportProgress: '/api/export-progress/:jobId',
-            downloadPdf: '/api/download-pdf/:jobId'
+            exportEvents: '/api/export-events/:jobId',
+            exportCancel: 'DELETE /api/export/:jobId',
+            assetsCheck: 'POST /api/assets/check',
+            assetUpload: 'PUT /api/assets/:sha256',
+            exportSessions: 'POST /api/export-sessions',
+            sessionImageUpload: 'PUT /api/export-sessions/:sessionId/images/:sha256',
+            sessionExport: 'POST /api/export-sessions/:sessionId/export',
+            downloadPdf: '/api/download-pdf/:jobId',
+            downloadUrl: '/api/download-url/:jobId',
+            adminStorage: '/api/admin/storage',
+            adminCleanup: 'POST /api/admin/cleanup'
         }
     });
 });
@@ -124,23 +154,23 @@ app.get('/', (req, res) => {
 // Set up output directory for exports
 const outputDirBase = process.env.EXPORT_OUTPUT_DIR || path.join(__dirname, 'exports');
 await fs.ensureDir(outputDirBase);
-console.log(`[Server] Export output directory: ${outputDirBase}`);
+logger.info(`[Server] Export output directory: ${outputDirBase}`);
 
-// Determine the comic creator URL
-const comicCreatorUrl = process.env.COMIC_CREATOR_URL || 'http://localhost:5173';
-console.log(`[Server] Comic Creator URL: ${comicCreatorUrl}`);
+// Determine the comic creator URL (the live creator, or the renderer served above)
+const comicCreatorUrl = renderer.url;
+logger.info(`[Server] Comic Creator URL: ${comicCreatorUrl} (${renderer.source} renderer)`);
 
 // Configure the Puppeteer export routes
 // Create router for API endpoints
 const apiRouter = express.Router();
-configurePuppeteerExport(apiRouter, comicCreatorUrl, outputDirBase);
+await configurePuppeteerExport(apiRouter, comicCreatorUrl, outputDirBase, renderer);
 
 // Mount the API router
 app.use('/api', apiRouter);
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-    console.error('[Server] Error:', error);
+    logger.error('[Server] Error:', error);
     
     if (error.message === 'Not allowed by CORS') {
         return res.status(403).json({ error: 'CORS policy violation' });
@@ -158,21 +188,26 @@ app.use('*', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
-    console.log(`[Server] Comic-Pro PDF Service running on port ${PORT}`);
-    console.log(`[Server] Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`[Server] Comic Creator URL: ${comicCreatorUrl}`);
-    console.log(`[Server] Export Directory: ${outputDirBase}`);
-    console.log(`[Server] Health check: http://localhost:${PORT}/health`);
+const server = app.listen(PORT, () => {
+    logger.info(`[Server] Comic-Pro PDF Service running on port ${PORT}`);
+    logger.info(`[Server] Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`[Server] Comic Creator URL: ${comicCreatorUrl}`);
+    logger.info(`[Server] Export Directory: ${outputDirBase}`);
+    logger.info(`[Server] Health check: http://localhost:${PORT}/health`);
 });
 
+// WebSocket variant of the progress stream (same path as the SSE endpoint)
+attachProgressWebSocket(server, getJobProgress, (req, jobId) => userCanAccessJob(authenticateRequest(req).user, jobId));
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('[Server] Received SIGTERM, shutting down gracefully...');
+process.on('SIGTERM', async () => {
+    logger.info('[Server] Received SIGTERM, shutting down gracefully...');
+    await Promise.all([browserPool.shutdown(), renderWorkerPool.shutdown()]);
     process.exit(0);
 });
 
-process.on('SIGINT', () => {
-    console.log('[Server] Received SIGINT, shutting down gracefully...');
+process.on('SIGINT', async () => {
+    logger.info('[Server] Received SIGINT, shutting down gracefully...');
+    await Promise.all([browserPool.shutdown(), renderWorkerPool.shutdown()]);
     process.exit(0);
 }); 
\ No newline at end of file
@@ -0,0 +1,496 @@
+// Content-addressed image store for uploaded project assets.
+// Images are uploaded once (whole or in resumable chunks), stored on disk under their
+// SHA-256, and referenced from the project state as "asset:<sha256>" instead of inline data.
+// While rendering, the page loads them from ASSET_URL_PREFIX, which the browser pool
+// answers from disk, so the images never pass through the project state JSON.
+// The store is shared by all users and exports, so an image is only uploaded again once it
+// has been evicted (least recently used first, when the store grows past ASSET_STORE_MAX_MB).
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import { config } from 'dotenv';
+import { logger } from './logger.js';
+
+// Load environment variables
+config();
+
+// Largest single image accepted (MB)
+export const MAX_ASSET_MB = parseInt(process.env.ASSET_MAX_MB, 10) || 50;
+// Evict least recently used images once the store is larger than this (MB)
+const MAX_STORE_MB = parseInt(process.env.ASSET_STORE_MAX_MB, 10) || 2048;
+// Hashes accepted per POST /api/assets/check
+const MAX_CHECK_HASHES = 10000;
+
+// How images are referenced in a submitted project state
+export const ASSET_REFERENCE_PATTERN = /^asset:([a-f0-9]{64})$/;
+// Where the rendered page loads them from; never resolved over the network
+export const ASSET_URL_PREFIX = 'https://export-assets.invalid/';
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+export class AssetError extends Error {
+    constructor(message, statusCode, details = {}) {
+        super(message);
+        this.name = 'AssetError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Work out an image's content type from its first bytes
+ * @param {Buffer} header - At least the first 16 bytes of the file
+ * @returns {string|null} - MIME type, or null if it isn't a supported image
+ */
+function detectContentType(header) {
+    if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (header.subarray(0, 4).toString('latin1') === 'GIF8') {
+        return 'image/gif';
+    }
+    if (header.subarray(0, 4).toString('latin1') === 'RIFF' && header.subarray(8, 12).toString('latin1') === 'WEBP') {
+        return 'image/webp';
+    }
+    const text = header.toString('utf8').trimStart();
+    if (text.startsWith('<svg') || text.startsWith('<?xml')) {
+        return 'image/svg+xml';
+    }
+    return null;
+}
+
+async function readHeader(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const header = Buffer.alloc(64);
+        const { bytesRead } = await fs.read(handle, header, 0, header.length, 0);
+        return header.subarray(0, bytesRead);
+    } finally {
+        await fs.close(handle);
+    }
+}
+
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+/**
+ * Parse a `Content-Range: bytes <start>-<end>/<total>` header
+ * @returns {{ start: number, end: number, total: number }|null} - null when the header is absent
+ */
+export function parseContentRange(header) {
+    if (!header) {
+        return null;
+    }
+    const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(header.trim());
+    if (!match) {
+        throw new AssetError('Invalid Content-Range header. Expected "bytes <start>-<end>/<total>"', 400);
+    }
+    const [start, end, total] = match.slice(1).map(Number);
+    if (end < start || end >= total) {
+        throw new AssetError(`Invalid Content-Range "${header}"`, 400);
+    }
+    return { start, end, total };
+}
+
+/**
+ * Collect every asset hash referenced by a project state's images
+ * @param {object} projectState - Submitted project state
+ * @returns {Set<string>} - Referenced SHA-256 hashes
+ */
+export function collectAssetReferences(projectState) {
+    const hashes = new Set();
+    (projectState.images || []).forEach(image => {
+        Object.values(image || {}).forEach(value => {
+            const match = typeof value === 'string' && ASSET_REFERENCE_PATTERN.exec(value);
+            if (match) {
+                hashes.add(match[1]);
+            }
+        });
+    });
+    return hashes;
+}
+
+/**
+ * Point asset references at ASSET_URL_PREFIX so the page can load them
+ * @param {object[]} images - projectState.images (not modified)
+ * @returns {object[]} - Copies with "asset:<sha256>" values replaced by URLs
+ */
+export function resolveAssetReferences(images) {
+    return images.map(image => {
+        const resolved = { ...image };
+        Object.entries(resolved).forEach(([key, value]) => {
+            const match = typeof value === 'string' && ASSET_REFERENCE_PATTERN.exec(value);
+            if (match) {
+                resolved[key] = `${ASSET_URL_PREFIX}${match[1]}`;
+            }
+        });
+        return resolved;
+    });
+}
+
+/**
+ * Read a stored asset for the page (used by the browser pool's request interception)
+ * @param {string} assetDir - AssetStore directory
+ * @param {string} url - Requested URL under ASSET_URL_PREFIX
+ * @returns {Promise<{ body: Buffer, contentType: string }|null>} - null if there is no such asset
+ */
+export async function readAssetForUrl(assetDir, url) {
+    const hash = url.slice(ASSET_URL_PREFIX.length).split(/[?#]/)[0];
+    if (!HASH_PATTERN.test(hash)) {
+        return null;
+    }
+    const filePath = path.join(assetDir, hash.slice(0, 2), hash);
+    if (!(await fs.pathExists(filePath))) {
+        return null;
+    }
+    const body = await fs.readFile(filePath);
+    return { body, contentType: detectContentType(body.subarray(0, 64)) || 'application/octet-stream' };
+}
+
+export class AssetStore {
+    /**
+     * @param {string} storeDir - Where images are kept
+     * @param {function} [getAssetsInUse] - Returns a Set of hashes that must not be evicted (unfinished jobs, open sessions)
+     */
+    constructor(storeDir, getAssetsInUse = () => new Set()) {
+        this.storeDir = storeDir;
+        this.uploadDir = path.join(storeDir, 'uploads'); // Partial uploads, named by the expected hash
+        this.uploadsInProgress = new Set();
+        this.getAssetsInUse = getAssetsInUse;
+        this.index = new Map(); // hash -> { size, lastUsed }, in least recently used order
+        this.totalBytes = 0;
+    }
+
+    // Rebuild the LRU index from disk; file mtimes carry last use across restarts
+    async init() {
+        await fs.ensureDir(this.uploadDir);
+        const entries = [];
+        for (const prefix of await fs.readdir(this.storeDir)) {
+            const dir = path.join(this.storeDir, prefix);
+            if (prefix === 'uploads' || !(await fs.stat(dir)).isDirectory()) {
+                continue;
+            }
+            for (const hash of await fs.readdir(dir)) {
+                if (HASH_PATTERN.test(hash)) {
+                    const { size, mtimeMs } = await fs.stat(path.join(dir, hash));
+                    entries.push({ hash, size, lastUsed: mtimeMs });
+                }
+            }
+        }
+        entries.sort((a, b) => a.lastUsed - b.lastUsed)
+            .forEach(({ hash, size, lastUsed }) => this.addToIndex(hash, size, lastUsed));
+        logger.info(`[AssetStore] Storing uploaded images at ${this.storeDir}: ${this.index.size} images, ${Math.round(this.totalBytes / 1024 / 1024)}MB of ${MAX_STORE_MB}MB (max ${MAX_ASSET_MB}MB each)`);
+    }
+
+    assetPath(hash) {
+        return path.join(this.storeDir, hash.slice(0, 2), hash);
+    }
+
+    partialPath(hash) {
+        return path.join(this.uploadDir, `${hash}.part`);
+    }
+
+    addToIndex(hash, size, lastUsed) {
+        this.removeFromIndex(hash);
+        this.index.set(hash, { size, lastUsed });
+        this.totalBytes += size;
+    }
+
+    removeFromIndex(hash) {
+        const entry = this.index.get(hash);
+        if (entry) {
+            this.index.delete(hash);
+            this.totalBytes -= entry.size;
+        }
+    }
+
+    hasAsset(hash) {
+        return this.index.has(hash);
+    }
+
+    /**
+     * Mark images as just used, so eviction keeps them longest
+     * @param {Iterable<string>} hashes - Stored hashes (unknown ones are ignored)
+     */
+    async touch(hashes) {
+        const now = new Date();
+        for (const hash of hashes) {
+            const entry = this.index.get(hash);
+            if (!entry) {
+                continue;
+            }
+            // Re-insert to move it to the most recently used end of the Map
+            this.addToIndex(hash, entry.size, now.getTime());
+            await fs.utimes(this.assetPath(hash), now, now).catch(() => {});
+        }
+    }
+
+    /**
+     * Upload state of an asset, so an interrupted upload can continue where it stopped
+     * @param {string} hash - Expected SHA-256
+     * @returns {Promise<object>} - { hash, complete, receivedBytes, size }
+     */
+    async getStatus(hash) {
+        if (!HASH_PATTERN.test(hash)) {
+            throw new AssetError('Asset hashes are lowercase hex SHA-256 digests', 400);
+        }
+        if (this.hasAsset(hash)) {
+            // A client that sees `complete` skips the upload, so keep it from being evicted before it submits
+            await this.touch([hash]);
+            const { size } = this.index.get(hash);
+            return { hash, complete: true, receivedBytes: size, size };
+        }
+        const receivedBytes = (await fs.pathExists(this.partialPath(hash))) ? (await fs.stat(this.partialPath(hash))).size : 0;
+        return { hash, complete: false, receivedBytes, size: null };
+    }
+
+    /**
+     * Split hashes into stored and missing ones (stored ones count as used)
+     * @param {string[]} hashes - Hashes the client wants to reference
+     * @returns {Promise<{ present: string[], missing: string[] }>}
+     */
+    async check(hashes) {
+        if (!Array.isArray(hashes) || hashes.length > MAX_CHECK_HASHES) {
+            throw new AssetError(`Send { "hashes": [...] } with at most ${MAX_CHECK_HASHES} hashes`, 400);
+        }
+        const invalid = hashes.filter(hash => typeof hash !== 'string' || !HASH_PATTERN.test(hash));
+        if (invalid.length > 0) {
+            throw new AssetError('Asset hashes are lowercase hex SHA-256 digests', 400, { invalid: invalid.slice(0, 20) });
+        }
+        const unique = [...new Set(hashes)];
+        const present = unique.filter(hash => this.hasAsset(hash));
+        await this.touch(present);
+        return { present, missing: unique.filter(hash => !this.hasAsset(hash)) };
+    }
+
+    /**
+     * Store an uploaded image, or one chunk of it
+     * @param {string} hash - Expected SHA-256 of the whole image
+     * @param {import('stream').Readable} body - Request body
+     * @param {object|null} range - parseContentRange() result; null for a whole-file upload
+     * @returns {Promise<object>} - getStatus() after the write
+     * @throws {AssetError} - Out-of-order chunk (409), too large (413), hash mismatch (422) or not an image (415)
+     */
+    async writeUpload(hash, body, range) {
+        if (!HASH_PATTERN.test(hash)) {
+            throw new AssetError('Asset hashes are lowercase hex SHA-256 digests', 400);
+        }
+        const maxBytes = MAX_ASSET_MB * 1024 * 1024;
+        if (range && range.total > maxBytes) {
+            throw new AssetError(`Image is larger than ${MAX_ASSET_MB}MB`, 413);
+        }
+        if (this.hasAsset(hash)) {
+            // Content-addressed: already stored, nothing to do
+            body.resume();
+            return this.getStatus(hash);
+        }
+        if (this.uploadsInProgress.has(hash)) {
+            throw new AssetError('This image is already being uploaded', 409);
+        }
+
+        this.uploadsInProgress.add(hash);
+        const partialPath = this.partialPath(hash);
+        try {
+            const receivedBytes = (await fs.pathExists(partialPath)) ? (await fs.stat(partialPath)).size : 0;
+            const start = range ? range.start : 0;
+            if (start !== receivedBytes) {
+                throw new AssetError(`Chunk starts at byte ${start} but ${receivedBytes} bytes have been received`, 409, { receivedBytes });
+            }
+
+            // Count bytes as they arrive so an oversized body is cut off, not buffered
+            let written = 0;
+            const limiter = new Transform({
+                transform(chunk, encoding, callback) {
+                    written += chunk.length;
+                    if (receivedBytes + written > maxBytes) {
+                        callback(new AssetError(`Image is larger than ${MAX_ASSET_MB}MB`, 413));
+                    } else {
+                        callback(null, chunk);
+                    }
+                }
+            });
+            await pipeline(body, limiter, fs.createWriteStream(partialPath, { flags: start === 0 ? 'w' : 'a' }));
+
+            const size = receivedBytes + written;
+            if (range && size !== range.end + 1) {
+                throw new AssetError(`Chunk was ${written} bytes, Content-Range announced ${range.end - range.start + 1}`, 400);
+            }
+            if (range && size < range.total) {
+                return { hash, complete: false, receivedBytes: size, size: null };
+            }
+
+            return await this.completeUpload(hash, partialPath);
+        } catch (error) {
+            if (error instanceof AssetError && error.statusCode === 413) {
+                await fs.remove(partialPath);
+            }
+            throw error;
+        } finally {
+            this.uploadsInProgress.delete(hash);
+        }
+    }
+
+    // Check the finished upload against its hash and type, then move it into the store
+    async completeUpload(hash, partialPath) {
+        const actualHash = await hashFile(partialPath);
+        if (actualHash !== hash) {
+            await fs.remove(partialPath);
+            throw new AssetError(`Uploaded data has SHA-256 ${actualHash}, not ${hash}. Upload the image again`, 422);
+        }
+        if (!detectContentType(await readHeader(partialPath))) {
+            await fs.remove(partialPath);
+            throw new AssetError('Uploaded file is not a PNG, JPEG, GIF, WebP or SVG image', 415);
+        }
+        await fs.ensureDir(path.dirname(this.assetPath(hash)));
+        await fs.rename(partialPath, this.assetPath(hash));
+        const { size } = await fs.stat(this.assetPath(hash));
+        this.addToIndex(hash, size, Date.now());
+        await this.evict();
+        return this.getStatus(hash);
+    }
+
+    /**
+     * Hashes from a set that are not stored
+     * @param {Iterable<string>} hashes - Referenced hashes
+     * @returns {string[]}
+     */
+    findMissing(hashes) {
+        return [...hashes].filter(hash => !this.hasAsset(hash));
+    }
+
+    /**
+     * Delete least recently used images until the store fits in ASSET_STORE_MAX_MB.
+     * Images used by unfinished jobs or open upload sessions are never evicted.
+     */
+    async evict() {
+        const maxBytes = MAX_STORE_MB * 1024 * 1024;
+        if (this.totalBytes <= maxBytes) {
+            return;
+        }
+        const inUse = this.getAssetsInUse();
+        let evicted = 0;
+        // Map iteration order is least recently used first
+        for (const [hash] of [...this.index]) {
+            if (this.totalBytes <= maxBytes) {
+                break;
+            }
+            if (inUse.has(hash)) {
+                continue;
+            }
+            this.removeFromIndex(hash);
+            await fs.remove(this.assetPath(hash));
+            evicted++;
+        }
+        logger.info(`[AssetStore] Evicted ${evicted} least recently used images, store now ${Math.round(this.totalBytes / 1024 / 1024)}MB`);
+        if (this.totalBytes > maxBytes) {
+            logger.warn(`[AssetStore] Store is still over ${MAX_STORE_MB}MB: the remaining images are in use`);
+        }
+    }
+
+    /**
+     * Delete partial uploads nobody has continued for maxAgeMs
+     * @param {number} maxAgeMs - Age of the last written chunk
+     */
+    async removeStaleUploads(maxAgeMs) {
+        const cutoff = Date.now() - maxAgeMs;
+        let removed = 0;
+        for (const file of await fs.readdir(this.uploadDir)) {
+            const filePath = path.join(this.uploadDir, file);
+            if ((await fs.stat(filePath)).mtimeMs < cutoff) {
+                await fs.remove(filePath);
+                removed++;
+            }
+        }
+        if (removed > 0) {
+            logger.info(`[AssetStore] Removed ${removed} abandoned partial uploads`);
+        }
+    }
+
+    // Size of the store, for the admin storage report
+    getUsage() {
+        return {
+            directory: this.storeDir,
+            images: this.index.size,
+            totalBytes: this.totalBytes,
+            maxBytes: MAX_STORE_MB * 1024 * 1024
+        };
+    }
+}
+
+export function sendAssetError(res, error, context) {
+    if (error instanceof AssetError) {
+        return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    logger.error(`[AssetStore] ${context}:`, error);
+    return res.status(500).json({ error: 'Upload failed. Please retry this image.' });
+}
+
+/**
+ * Answer a status request for one image (GET .../:hash)
+ * @param {AssetStore} assetStore - Store to look in
+ * @param {function} [onStored] - Called with the hash when it is already stored
+ */
+export async function handleAssetStatus(assetStore, req, res, onStored = () => {}) {
+    try {
+        const status = await assetStore.getStatus(req.params.hash);
+        if (status.complete) {
+            onStored(status.hash);
+        }
+        res.json(status);
+    } catch (error) {
+        sendAssetError(res, error, `Error reading upload status for ${req.params.hash}`);
+    }
+}
+
+/**
+ * Store an uploaded image or chunk (PUT .../:hash): 201 once complete, 202 while chunks are missing
+ * @param {AssetStore} assetStore - Store to write to
+ * @param {function} [onStored] - Called with the hash once the whole image is stored
+ */
+export async function handleAssetUpload(assetStore, req, res, onStored = () => {}) {
+    try {
+        const range = parseContentRange(req.headers['content-range']);
+        const status = await assetStore.writeUpload(req.params.hash, req, range);
+        if (status.complete) {
+            onStored(status.hash);
+            return res.status(201).json(status);
+        }
+        // More chunks to come
+        res.status(202).json(status);
+    } catch (error) {
+        sendAssetError(res, error, `Error storing upload ${req.params.hash}`);
+    }
+}
+
+/**
+ * Register the shared asset routes on the API router
+ * @param {import('express').Router} router - API router (mounted at /api)
+ * @param {AssetStore} assetStore - Store behind the routes
+ */
+export function configureAssetRoutes(router, assetStore) {
+    // Which of these images does the server already have?
+    router.post('/assets/check', async (req, res) => {
+        try {
+            const result = await assetStore.check(req.body?.hashes);
+            logger.info(`[AssetStore] Check: ${result.present.length} stored, ${result.missing.length} missing`);
+            res.json(result);
+        } catch (error) {
+            sendAssetError(res, error, 'Error checking assets');
+        }
+    });
+
+    router.get('/assets/:hash', (req, res) => handleAssetStatus(assetStore, req, res));
+
+    router.put('/assets/:hash', (req, res) => handleAssetUpload(assetStore, req, res, (hash) => {
+        logger.info(`[AssetStore] Stored image ${hash} for user ${req.user.id}`);
+    }));
+}
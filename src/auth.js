@@ -0,0 +1,263 @@
+// Authentication for the export API.
+// Accepts static API keys and HS256/RS256 JWTs as `Authorization: Bearer <token>`
+// (or `?access_token=` on GET requests, since EventSource and download links can't set headers).
+// Download links sent to webhook receivers, who have no credentials, are signed instead
+// (`?user=&expires=&signature=`, valid only for the path they were issued for).
+// Every request resolves to a user id that export jobs are tied to.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { config } from 'dotenv';
+import { logger } from './logger.js';
+
+// Load environment variables
+config();
+
+// Tolerance for exp/nbf checks between our clock and the token issuer's
+const CLOCK_SKEW_SECONDS = 30;
+
+// Owner of every job when no credentials are configured
+export const ANONYMOUS_USER = { id: 'anonymous', method: 'none' };
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Parse API_KEYS: comma-separated `key:userId` pairs. A key without a user id gets an id derived from its hash.
+ * Keys are kept hashed so lookups compare in constant time.
+ */
+function loadApiKeys() {
+    return (process.env.API_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.lastIndexOf(':');
+            const key = separator > 0 ? entry.slice(0, separator) : entry;
+            const userId = separator > 0 ? entry.slice(separator + 1) : `key-${sha256(key).toString('hex').slice(0, 12)}`;
+            return { hash: sha256(key), userId };
+        });
+}
+
+function loadJwtPublicKey() {
+    if (process.env.JWT_PUBLIC_KEY_FILE) {
+        return fs.readFileSync(process.env.JWT_PUBLIC_KEY_FILE, 'utf8');
+    }
+    // Env files usually hold PEM keys on one line with escaped newlines
+    return process.env.JWT_PUBLIC_KEY ? process.env.JWT_PUBLIC_KEY.replace(/\\n/g, '\n') : null;
+}
+
+const apiKeys = loadApiKeys();
+const jwtSecret = process.env.JWT_SECRET || null;
+const jwtPublicKey = loadJwtPublicKey();
+const jwtIssuer = process.env.JWT_ISSUER || null;
+const jwtAudience = process.env.JWT_AUDIENCE || null;
+// Signs download links; without DOWNLOAD_URL_SECRET, links stop working when the server restarts
+const downloadUrlSecret = process.env.DOWNLOAD_URL_SECRET || crypto.randomBytes(32).toString('hex');
+// User ids allowed to use the /api/admin endpoints
+const adminUsers = (process.env.ADMIN_USERS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// Auth is switched on by configuring any credential source
+export const authEnabled = apiKeys.length > 0 || !!jwtSecret || !!jwtPublicKey;
+
+if (authEnabled) {
+    logger.info('[Auth] Authentication enabled:', {
+        apiKeys: apiKeys.length,
+        hs256: !!jwtSecret,
+        rs256: !!jwtPublicKey,
+        admins: adminUsers.length
+    });
+} else {
+    logger.warn('[Auth] WARNING: No API_KEYS, JWT_SECRET or JWT_PUBLIC_KEY configured. The export API is open to anyone who can reach it.');
+}
+
+function decodeJwtPart(part) {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+/**
+ * Verify a compact JWT and return its payload
+ * @param {string} token - header.payload.signature
+ * @returns {object} - Verified claims
+ * @throws {Error} - If the token is malformed, badly signed, expired or for another issuer/audience
+ */
+function verifyJwt(token) {
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+    let header;
+    let payload;
+    try {
+        header = decodeJwtPart(encodedHeader);
+        payload = decodeJwtPart(encodedPayload);
+    } catch (error) {
+        throw new Error('Malformed token');
+    }
+
+    const signingInput = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+    const signature = Buffer.from(encodedSignature || '', 'base64url');
+
+    // The algorithm is pinned by which key is configured, never trusted from the header alone
+    if (header.alg === 'HS256' && jwtSecret) {
+        const expected = crypto.createHmac('sha256', jwtSecret).update(signingInput).digest();
+        if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+            throw new Error('Invalid token signature');
+        }
+    } else if (header.alg === 'RS256' && jwtPublicKey) {
+        if (!crypto.verify('RSA-SHA256', signingInput, jwtPublicKey, signature)) {
+            throw new Error('Invalid token signature');
+        }
+    } else {
+        throw new Error(`Unsupported token algorithm "${header.alg}"`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp === 'number' && now > payload.exp + CLOCK_SKEW_SECONDS) {
+        throw new Error('Token expired');
+    }
+    if (typeof payload.nbf === 'number' && now < payload.nbf - CLOCK_SKEW_SECONDS) {
+        throw new Error('Token not yet valid');
+    }
+    if (jwtIssuer && payload.iss !== jwtIssuer) {
+        throw new Error('Token issuer not accepted');
+    }
+    if (jwtAudience) {
+        const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+        if (!audiences.includes(jwtAudience)) {
+            throw new Error('Token audience not accepted');
+        }
+    }
+    if (!payload.sub) {
+        throw new Error('Token has no subject (sub) claim');
+    }
+    return payload;
+}
+
+function findApiKeyUser(key) {
+    const hash = sha256(key);
+    // Check every key so timing doesn't reveal how many keys there are or which one matched
+    let match = null;
+    for (const entry of apiKeys) {
+        if (crypto.timingSafeEqual(hash, entry.hash)) {
+            match = entry;
+        }
+    }
+    return match ? { id: match.userId, method: 'api-key' } : null;
+}
+
+function signDownload(pathname, userId, expires) {
+    return crypto.createHmac('sha256', downloadUrlSecret).update(`GET ${pathname}\n${userId}\n${expires}`).digest('hex');
+}
+
+/**
+ * Query string that lets anyone holding the link GET this one path as the given user until it expires
+ * @param {string} pathname - Full request path, e.g. /api/download/<jobId>
+ * @param {string} userId - User the request counts as (the job's owner)
+ * @param {number} expiresIn - Seconds the link stays valid
+ * @returns {string} - `user=...&expires=...&signature=...`
+ */
+export function signDownloadPath(pathname, userId, expiresIn) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return new URLSearchParams({ user: userId, expires: String(expires), signature: signDownload(pathname, userId, expires) }).toString();
+}
+
+// User of a signed download link, or an error
+function verifySignedDownload(req, url) {
+    const userId = url.searchParams.get('user') || '';
+    const expires = url.searchParams.get('expires') || '';
+    const signature = Buffer.from(url.searchParams.get('signature') || '', 'hex');
+    const expected = Buffer.from(signDownload(url.pathname, userId, expires), 'hex');
+    if (req.method !== 'GET' || signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+        return { user: null, error: 'Invalid download link signature' };
+    }
+    if (Math.floor(Date.now() / 1000) > Number(expires)) {
+        return { user: null, error: 'Download link expired' };
+    }
+    return { user: { id: userId, method: 'signed-url' }, error: null };
+}
+
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (match) {
+        return match[1].trim();
+    }
+    // Query tokens only for reads: EventSource, WebSocket and plain download links can't send headers
+    if (req.method === 'GET') {
+        const url = new URL(req.url, 'http://localhost');
+        return url.searchParams.get('access_token');
+    }
+    return null;
+}
+
+/**
+ * Resolve the user behind a request (Express request or raw HTTP upgrade request)
+ * @param {import('http').IncomingMessage} req - Incoming request
+ * @returns {{ user: object|null, error: string|null }}
+ */
+export function authenticateRequest(req) {
+    if (!authEnabled) {
+        return { user: ANONYMOUS_USER, error: null };
+    }
+
+    // Express strips the /api mount point from req.url; links are signed for the full path
+    const url = new URL(req.originalUrl || req.url, 'http://localhost');
+    if (url.searchParams.has('signature')) {
+        return verifySignedDownload(req, url);
+    }
+
+    const token = getRequestToken(req);
+    if (!token) {
+        return { user: null, error: 'Missing credentials. Send Authorization: Bearer <API key or JWT>' };
+    }
+
+    // JWTs have three dot-separated parts, API keys are opaque strings
+    if (token.split('.').length === 3 && (jwtSecret || jwtPublicKey)) {
+        try {
+            const claims = verifyJwt(token);
+            return { user: { id: String(claims.sub), method: 'jwt' }, error: null };
+        } catch (error) {
+            return { user: null, error: `Invalid token: ${error.message}` };
+        }
+    }
+
+    const user = findApiKeyUser(token);
+    return user ? { user, error: null } : { user: null, error: 'Invalid API key' };
+}
+
+/**
+ * Express middleware: sets req.user or answers 401.
+ * Mounted ahead of the body parsers so unauthenticated uploads are refused before they are read.
+ */
+export function authenticate(req, res, next) {
+    // CORS preflights never carry credentials
+    if (req.method === 'OPTIONS') {
+        return next();
+    }
+    const { user, error } = authenticateRequest(req);
+    if (!user) {
+        logger.warn(`[Auth] Rejected ${req.method} ${req.originalUrl.split('?')[0]}: ${error}`);
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error });
+    }
+    req.user = user;
+    next();
+}
+
+/**
+ * Whether a user may see or change a job
+ * @param {object} user - req.user
+ * @param {object} job - Job record (jobs from before auth was added have no ownerId)
+ * @returns {boolean}
+ */
+export function canAccessJob(user, job) {
+    return !!user && (job.ownerId || ANONYMOUS_USER.id) === user.id;
+}
+
+/**
+ * Whether a user may use the admin endpoints. Without credentials configured the whole API is open, admin included.
+ * @param {object} user - req.user
+ * @returns {boolean}
+ */
+export function isAdmin(user) {
+    return !!user && (!authEnabled || adminUsers.includes(user.id));
+}
@@ -0,0 +1,625 @@
+// Browser pool for Puppeteer exports.
+// Keeps warm Chromium instances with the comic creator app already loaded, so each
+// rendered page only needs a call to _loadProjectFromState instead of a cold
+// browser start and a full app load. One browser per concurrently rendering job.
+
+import puppeteer from 'puppeteer';
+import fs from 'fs-extra';
+import path from 'path';
+import { config } from 'dotenv';
+import { ASSET_URL_PREFIX, readAssetForUrl } from './asset-store.js';
+import { browserLaunchSeconds } from './metrics.js';
+import { logger, getLogContext, writeDebugArtifact } from './logger.js';
+
+// Load environment variables
+config();
+
+// Recycle the browser after this many rendered pages (Chromium leaks a little per load)
+const MAX_PAGES_PER_BROWSER = parseInt(process.env.BROWSER_MAX_PAGES, 10) || 20;
+// Recycle the browser when its resident memory goes above this (tuned for a 1GB droplet)
+const MAX_BROWSER_MEMORY_MB = parseInt(process.env.BROWSER_MAX_MEMORY_MB, 10) || 450;
+// Close a warm browser after it has been idle this long
+const IDLE_TIMEOUT_MS = parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS, 10) || 60000;
+// Browsers kept at most, one per concurrent render (defaults to the export concurrency)
+const POOL_SIZE = parseInt(process.env.BROWSER_POOL_SIZE, 10) || parseInt(process.env.EXPORT_CONCURRENCY, 10) || 1;
+
+// OPTIMIZED BROWSER CONFIG FOR 1GB MEMORY
+// Viewport of a fresh page; exports grow it to fit large canvases and set their own deviceScaleFactor
+export const DEFAULT_VIEWPORT = {
+    width: 1920,
+    height: 1080,
+    deviceScaleFactor: 2
+};
+
+const BROWSER_LAUNCH_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+    '--disable-extensions',
+    '--disable-software-rasterizer',
+    '--disable-background-timer-throttling',
+    '--disable-backgrounding-occluded-windows',
+    '--disable-renderer-backgrounding',
+    '--disable-features=TranslateUI',
+    '--disable-component-extensions-with-background-pages',
+    '--no-default-browser-check',
+    '--no-first-run',
+    '--disable-default-apps',
+    '--disable-popup-blocking',
+    '--disable-translate',
+    '--disable-background-networking',
+    '--disable-sync',
+    '--metrics-recording-only',
+    '--no-report-upload',
+    '--disable-crash-reporter',
+    '--window-size=1280,800',
+    // MEMORY OPTIMIZATION FLAGS
+    '--memory-pressure-off',
+    '--max_old_space_size=512',
+    '--disable-features=VizDisplayCompositor',
+    '--disable-threaded-scrolling',
+    '--disable-web-security',
+    '--disable-features=site-per-process',
+    '--disable-blink-features=AutomationControlled',
+    '--disable-ipc-flooding-protection',
+    '--single-process', // CRITICAL: Run in single process to reduce memory
+    '--no-zygote'      // CRITICAL: Disable zygote process
+];
+
+// CSS injected once per session to ensure consistent rendering
+const EXPORT_STYLES = `
+    #comic-canvas {
+      transform: none !important;
+      transition: none !important;
+      opacity: 1 !important;
+      visibility: visible !important;
+      display: block !important;
+    }
+    /* Ensure text bubbles are rendered statically and centered for rotation */
+    body.exporting .text-bubble,
+    .text-bubble.exporting-direct-style {
+      transform-origin: center center !important;
+      transition: none !important;
+      opacity: 1 !important;
+      visibility: visible !important;
+    }
+    body.exporting .text-bubble .text-content {
+      margin: 0 !important;
+      padding: 0 !important;
+      vertical-align: top !important;
+    }
+    /* CRITICAL: Fix text outline and shadow rendering during export - PRESERVE ORIGINAL COLOR */
+    .text-content[data-has-outline="true"] {
+      -webkit-text-stroke-width: var(--stroke-width, 1px) !important;
+      -webkit-text-stroke-color: var(--stroke-color, #000000) !important;
+      /* DO NOT override color - preserve the original text color */
+      -webkit-font-smoothing: antialiased !important;
+      -moz-osx-font-smoothing: grayscale !important;
+      text-rendering: optimizeLegibility !important;
+      /* Ensure text fill is preserved for webkit stroke */
+      -webkit-text-fill-color: currentColor !important;
+    }
+    /* Ensure text with shadow renders correctly - PRESERVE ALL SHADOW VALUES INCLUDING BLUR */
+    .text-content[data-has-shadow="true"] {
+      /* Explicitly ensure shadows are visible during export */
+      text-shadow: var(--export-text-shadow) !important;
+    }
+    /* Fallback for text that might have both outline and shadow */
+    .text-content {
+      -webkit-font-smoothing: antialiased !important;
+      -moz-osx-font-smoothing: grayscale !important;
+      text-rendering: optimizeLegibility !important;
+    }
+    .canvas-sticker-image {
+      transform-origin: center center !important;
+      transition: none !important;
+      opacity: 1 !important;
+      visibility: visible !important;
+    }
+    .comic-panel img {
+      transition: none !important;
+      opacity: 1 !important;
+      visibility: visible !important;
+    }
+    .canvas-background-image {
+      transition: none !important;
+      opacity: 1 !important;
+      visibility: visible !important;
+    }
+`;
+
+/**
+ * Determine the Chrome executable path for both Windows and Linux
+ * @returns {string} - Path to the Chrome executable
+ */
+function resolveChromeExecutablePath() {
+    if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+        return process.env.PUPPETEER_EXECUTABLE_PATH;
+    }
+    if (process.platform === 'win32') {
+        // Windows Chrome paths
+        const windowsPaths = [
+            'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+            'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+            process.env.LOCALAPPDATA + '\\Google\\Chrome\\Application\\chrome.exe'
+        ];
+        return windowsPaths.find(candidate => fs.pathExistsSync(candidate)) || windowsPaths[0]; // Default to first path if none found
+    }
+    // Linux Chrome paths
+    const linuxPaths = [
+        '/usr/bin/google-chrome-stable',
+        '/usr/bin/google-chrome',
+        '/usr/bin/chromium',
+        '/usr/bin/chromium-browser'
+    ];
+    return linuxPaths.find(candidate => fs.pathExistsSync(candidate)) || linuxPaths[0];
+}
+
+/**
+ * Read the resident memory of a process from /proc (Linux only)
+ * @param {number} pid - Process ID
+ * @returns {Promise<number|null>} - RSS in MB, or null if unavailable
+ */
+async function getProcessMemoryMB(pid) {
+    if (!pid || process.platform !== 'linux') {
+        return null;
+    }
+    try {
+        const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+        const match = status.match(/VmRSS:\s+(\d+)\s+kB/);
+        return match ? Math.round(parseInt(match[1], 10) / 1024) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Save a full-page screenshot of a failed render for debugging
+ * @param {import('puppeteer').Page} page - The page to capture
+ * @param {string} outputDirectory - Directory to write error-screenshot.png into
+ */
+export async function saveErrorScreenshot(page, outputDirectory) {
+    // Don't try to screenshot if page is closed
+    try {
+        if (page && !page.isClosed()) {
+            logger.debug('[Puppeteer] Page still open, attempting error screenshot...');
+            const errorScreenshot = await page.screenshot({
+                fullPage: true,
+                timeout: 5000 // Short timeout for error screenshot
+            });
+            const errorScreenshotPath = path.join(outputDirectory, 'error-screenshot.png');
+            await fs.writeFile(errorScreenshotPath, errorScreenshot);
+            logger.info(`[Puppeteer] Error screenshot saved to: ${errorScreenshotPath}`);
+        } else {
+            logger.debug('[Puppeteer] Page is closed or undefined, skipping error screenshot');
+        }
+    } catch (screenshotError) {
+        logger.error('[Puppeteer] Failed to save error screenshot:', screenshotError.message);
+    }
+}
+
+class BrowserPool {
+    constructor() {
+        this.sessions = new Set(); // Every open session, idle or in use
+        this.idleSessions = []; // Warm sessions nobody is using
+        this.slotsInUse = 0; // Renders holding a slot (a session, or one being launched for them)
+        this.waiters = [];
+        this.maxSessions = POOL_SIZE;
+        this.maxPagesPerBrowser = MAX_PAGES_PER_BROWSER;
+        this.maxBrowserMemoryMB = MAX_BROWSER_MEMORY_MB;
+        this.idleTimeoutMs = IDLE_TIMEOUT_MS;
+    }
+
+    /**
+     * Get exclusive use of a session with the comic creator app loaded
+     * @param {string} comicCreatorUrl - URL of the comic creator app
+     * @param {string} outputDirectory - Where to save an error screenshot if startup fails
+     * @param {AbortSignal} [signal] - Aborts a cold start (kills the browser while the app loads)
+     * @param {object} [options] - { urgent: true } to go ahead of renders already waiting (previews)
+     * @returns {Promise<object>} - Session with `browser`, `page` and a settable `projectState`
+     */
+    async acquire(comicCreatorUrl, outputDirectory, signal, { urgent = false } = {}) {
+        if (this.slotsInUse >= this.maxSessions) {
+            // releaseSlot() hands its slot straight to us, still counted, so nobody can take it in between
+            await new Promise(resolve => (urgent ? this.waiters.unshift(resolve) : this.waiters.push(resolve)));
+        } else {
+            this.slotsInUse++;
+        }
+
+        try {
+            let session = this.idleSessions.shift();
+            if (session) {
+                this.clearIdleTimer(session);
+                if (session.comicCreatorUrl !== comicCreatorUrl || !session.browser.connected) {
+                    await this.closeSession(session, 'browser disconnected or creator URL changed');
+                    session = null;
+                }
+            }
+            if (!session) {
+                session = await this.createSession(comicCreatorUrl, outputDirectory, signal);
+            } else {
+                logger.info(`[BrowserPool] Reusing warm browser (${session.pagesRendered} pages rendered so far)`);
+            }
+            // Page events (console messages, failed requests) are logged for the job now using the browser
+            session.logContext = getLogContext();
+            return session;
+        } catch (error) {
+            this.releaseSlot();
+            throw error;
+        }
+    }
+
+    /**
+     * Give a session back to the pool, recycling the browser if it is worn out
+     * @param {object} session - Session returned by acquire()
+     * @param {object} options - { failed: true } if the render failed and the page state is suspect
+     */
+    async release(session, { failed = false } = {}) {
+        session.projectState = null; // Don't hold on to the page state between renders
+        session.pagesRendered++;
+
+        try {
+            if (session.aborted) {
+                return; // Already killed by abortSession()
+            }
+            if (failed) {
+                await this.closeSession(session, 'render failed');
+            } else if (session.pagesRendered >= this.maxPagesPerBrowser) {
+                await this.closeSession(session, `reached ${this.maxPagesPerBrowser} pages`);
+            } else {
+                const browserMemoryMB = await getProcessMemoryMB(session.browser.process()?.pid);
+                if (browserMemoryMB !== null && browserMemoryMB > this.maxBrowserMemoryMB) {
+                    await this.closeSession(session, `browser memory ${browserMemoryMB}MB exceeds ${this.maxBrowserMemoryMB}MB`);
+                } else {
+                    this.keepIdle(session);
+                }
+            }
+        } finally {
+            this.releaseSlot();
+        }
+    }
+
+    /**
+     * Kill a session's browser straight away, e.g. to stop a render mid-page when its job is cancelled.
+     * Pending page calls reject, and the render's release() then finds the session already gone.
+     * @param {object} session - Session returned by acquire()
+     * @param {string} reason - Logged reason
+     */
+    abortSession(session, reason) {
+        session.aborted = true;
+        this.sessions.delete(session);
+        logger.info(`[BrowserPool] Killing browser: ${reason}`);
+        const browserProcess = session.browser.process();
+        if (browserProcess && !browserProcess.killed) {
+            browserProcess.kill('SIGKILL');
+        }
+    }
+
+    // Park a healthy session for reuse, closing it if nobody needs it for a while
+    keepIdle(session) {
+        session.idleTimer = setTimeout(() => {
+            const index = this.idleSessions.indexOf(session);
+            if (index !== -1) {
+                this.idleSessions.splice(index, 1);
+                this.closeSession(session, `idle for ${this.idleTimeoutMs}ms`);
+            }
+        }, this.idleTimeoutMs);
+        this.idleSessions.push(session);
+    }
+
+    // Pass the slot to the next waiter, or free it when nobody is waiting
+    releaseSlot() {
+        const next = this.waiters.shift();
+        if (next) {
+            next();
+        } else {
+            this.slotsInUse--;
+        }
+    }
+
+    clearIdleTimer(session) {
+        if (session.idleTimer) {
+            clearTimeout(session.idleTimer);
+            session.idleTimer = null;
+        }
+    }
+
+    async closeSession(session, reason) {
+        this.sessions.delete(session);
+        logger.info(`[BrowserPool] Recycling browser: ${reason}`);
+
+        try {
+            if (session.page && !session.page.isClosed()) {
+                await session.page.close();
+            }
+        } catch (pageCloseError) {
+            logger.error('[BrowserPool] Error closing page:', pageCloseError.message);
+        }
+
+        try {
+            if (session.browser && session.browser.process() && !session.browser.process().killed) {
+                await session.browser.close();
+                logger.info('[BrowserPool] Browser closed successfully');
+            }
+        } catch (browserCloseError) {
+            logger.error('[BrowserPool] Error closing browser:', browserCloseError.message);
+        }
+
+        // Force garbage collection if available
+        if (global.gc) {
+            logger.info('[BrowserPool] Running garbage collection...');
+            global.gc();
+        }
+    }
+
+    /**
+     * Close every browser for good (used on server shutdown)
+     */
+    async shutdown() {
+        const sessions = [...this.sessions];
+        this.idleSessions = [];
+        sessions.forEach(session => this.clearIdleTimer(session));
+        await Promise.all(sessions.map(session => this.closeSession(session, 'shutting down')));
+    }
+
+    async createSession(comicCreatorUrl, outputDirectory, signal) {
+        // Configure browser for Ubuntu Droplet environment
+        logger.info('Environment details:', {
+            NODE_ENV: process.env.NODE_ENV,
+            PLATFORM: process.platform,
+            PUPPETEER_EXECUTABLE_PATH: process.env.PUPPETEER_EXECUTABLE_PATH
+        });
+
+        const chromeExecutablePath = resolveChromeExecutablePath();
+
+        // Verify Chrome exists
+        try {
+            await fs.access(chromeExecutablePath);
+            logger.info(`[BrowserPool] Verified Chrome exists at: ${chromeExecutablePath}`);
+        } catch (error) {
+            logger.error(`[BrowserPool] Chrome not found at ${chromeExecutablePath}. Error:`, error);
+            throw new Error(`Chrome not found at ${chromeExecutablePath}. Please install Chrome/Chromium.`);
+        }
+
+        logger.info(`[BrowserPool] Launching browser: ${chromeExecutablePath}`);
+        const launchStartedAt = Date.now();
+        const browser = await puppeteer.launch({
+            headless: "new",
+            executablePath: chromeExecutablePath,
+            args: BROWSER_LAUNCH_ARGS,
+            defaultViewport: {
+                width: 1280,
+                height: 800
+            },
+            timeout: 30000, // Reduced timeout
+            protocolTimeout: 30000 // Add protocol timeout
+        });
+
+        if (signal?.aborted) {
+            await browser.close();
+            throw new Error('Export cancelled');
+        }
+
+        const session = {
+            browser,
+            page: null,
+            comicCreatorUrl,
+            projectState: null,
+            pagesRendered: 0,
+            launchedAt: Date.now(),
+            logContext: getLogContext(),
+            idleTimer: null,
+            aborted: false
+        };
+
+        // Loading the app can take a minute; a cancelled job shouldn't wait for it
+        const onAbort = () => this.abortSession(session, 'export job cancelled during startup');
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            session.page = await this.loadCreatorApp(browser, comicCreatorUrl, session, outputDirectory);
+            logger.info(`[BrowserPool] Browser ready in ${Date.now() - session.launchedAt}ms`);
+            browserLaunchSeconds.observe((Date.now() - launchStartedAt) / 1000);
+            this.sessions.add(session);
+            return session;
+        } catch (error) {
+            if (signal?.aborted) {
+                throw new Error('Export cancelled');
+            }
+            logger.error('[BrowserPool] Failed to prepare comic creator page:', error);
+            await saveErrorScreenshot(session.page, outputDirectory);
+            try {
+                await browser.close();
+            } catch (browserCloseError) {
+                logger.error('[BrowserPool] Error closing browser:', browserCloseError.message);
+            }
+            throw error;
+        }
+    }
+
+    // Answer a page request for an uploaded image from the session's asset store
+    async serveAsset(session, request) {
+        try {
+            const asset = session.assetDir ? await readAssetForUrl(session.assetDir, request.url()) : null;
+            if (!asset) {
+                logger.warn(`[BrowserPool] Page requested unknown asset ${request.url()}`);
+                await request.respond({ status: 404, contentType: 'text/plain', body: 'Asset not found' });
+                return;
+            }
+            await request.respond({ status: 200, contentType: asset.contentType, body: asset.body });
+        } catch (error) {
+            logger.error(`[BrowserPool] Error serving asset ${request.url()}:`, error.message);
+            await request.abort().catch(() => {});
+        }
+    }
+
+    async loadCreatorApp(browser, comicCreatorUrl, session, outputDirectory) {
+        // Page events arrive outside the job's async context, so they are tagged from the session
+        const pageLogger = () => logger.child(session.logContext);
+
+        // Create new page
+        const page = await browser.newPage();
+        session.page = page;
+
+        // Set longer timeout for navigation and element waiting
+        page.setDefaultTimeout(60000);
+
+        // Set viewport
+        await page.setViewport({ ...DEFAULT_VIEWPORT });
+
+        // Important: Set up page handlers BEFORE any navigation
+        await page.evaluateOnNewDocument(() => {
+            window.onbeforeunload = null;
+            window.IS_PUPPETEER_EXPORT = true;
+            console.log('[Pre-Navigation] Set IS_PUPPETEER_EXPORT flag');
+        });
+
+        // Enable request interception
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            // Uploaded images are referenced by ASSET_URL_PREFIX URLs; answer those from disk
+            if (request.url().startsWith(ASSET_URL_PREFIX)) {
+                this.serveAsset(session, request);
+                return;
+            }
+            request.continue().catch(err => pageLogger().error('[Puppeteer] Error continuing request:', err));
+            if (request.failure()) {
+                pageLogger().error(`[Puppeteer] Request failed: URL: ${request.url()}, Error: ${request.failure().errorText}`);
+            }
+        });
+
+        // Log console messages
+        page.on('console', msg => pageLogger().debug('[Page Console]', msg.text()));
+        page.on('pageerror', err => pageLogger().error('[Page Error]', err));
+
+        // Add initial delay before navigation
+        await new Promise(resolve => setTimeout(resolve, 2000));
+        logger.debug(`[Puppeteer] Starting navigation to: ${comicCreatorUrl}`);
+
+        // Navigate with robust wait conditions
+        const response = await page.goto(comicCreatorUrl, {
+            waitUntil: ['networkidle0', 'domcontentloaded', 'load'],
+            timeout: 60000
+        });
+
+        if (!response.ok()) {
+            throw new Error(`Failed to load page: ${response.status()} ${response.statusText()}`);
+        }
+
+        // Add post-navigation delay
+        logger.debug(`[Puppeteer] Navigation complete. Waiting for page stabilization...`);
+        await new Promise(resolve => setTimeout(resolve, 3000));
+
+        logger.debug(`[Puppeteer] Waiting for comic canvas...`);
+
+        // Wait for the comic canvas with extended timeout and visibility check
+        try {
+            // First ensure the page is fully loaded
+            logger.debug('[Puppeteer] Waiting for full page load...');
+            await page.waitForFunction(() => {
+                return document.readyState === 'complete' &&
+                       typeof window.comicCreator !== 'undefined' &&
+                       window.IS_PUPPETEER_EXPORT === true;
+            }, { timeout: 30000 });
+
+            logger.debug('[Puppeteer] Page fully loaded, now waiting for comic canvas...');
+
+            // Then wait for the canvas
+            await page.waitForFunction(() => {
+                const canvas = document.querySelector('#comic-canvas');
+                if (!canvas) {
+                    console.log('[Page Eval] #comic-canvas not found yet.');
+                    return false;
+                }
+                const style = window.getComputedStyle(canvas);
+                if (style.display === 'none') {
+                    console.log('[Page Eval] #comic-canvas found but display is none.');
+                    return false;
+                }
+                return true;
+            }, { timeout: 60000 });
+
+            logger.debug('[Puppeteer] Successfully found #comic-canvas.');
+
+        } catch (error) {
+            logger.error('[Puppeteer] Failed to find comic canvas.');
+            try {
+                // Far too big for the log; saved with the job's files instead
+                const domState = await page.evaluate(() => document.body.innerHTML);
+                const artifactPath = await writeDebugArtifact(outputDirectory, `dom-${Date.now()}.html`, domState);
+                if (artifactPath) {
+                    logger.error(`[Puppeteer] DOM state before error saved to ${artifactPath}`);
+                }
+            } catch (evalError) {
+                logger.error('[Puppeteer] Could not even evaluate document.body.innerHTML after waitForFunction error:', evalError.message);
+            }
+            throw error;
+        }
+
+        // Inject CSS to ensure consistent rendering
+        await page.addStyleTag({ content: EXPORT_STYLES });
+
+        // Verify comicCreator and the method exist
+        logger.debug('[Puppeteer] Verifying window.comicCreator and _loadProjectFromState method...');
+        const comicCreatorCheck = await page.evaluate(() => {
+            let attempts = 0;
+            while (!window.comicCreator && attempts < 100) {
+                // Basic synchronous delay, less reliable but avoids nested promises in a potentially unstable context
+                console.log(`[Page Eval - Check] Attempt ${attempts + 1}: window.comicCreator is ${typeof window.comicCreator}`);
+                const start = Date.now();
+                while (Date.now() - start < 100) { /* do nothing */ }
+                attempts++;
+            }
+
+            if (!window.comicCreator) {
+                console.error('[Page Eval - Check] window.comicCreator not found after checks.');
+                return { found: false, methodFound: false, error: 'window.comicCreator not found' };
+            }
+            console.log('[Page Eval - Check] window.comicCreator IS found.');
+            if (typeof window.comicCreator._loadProjectFromState !== 'function') {
+                console.error('[Page Eval - Check] window.comicCreator._loadProjectFromState is NOT a function. Type: ' + typeof window.comicCreator._loadProjectFromState);
+                return { found: true, methodFound: false, error: '_loadProjectFromState is not a function' };
+            }
+            console.log('[Page Eval - Check] window.comicCreator._loadProjectFromState IS a function.');
+            return { found: true, methodFound: true };
+        });
+
+        logger.debug('[Puppeteer] Comic creator check results:', comicCreatorCheck);
+
+        if (!comicCreatorCheck || !comicCreatorCheck.found || !comicCreatorCheck.methodFound) {
+            const errorMessage = comicCreatorCheck && comicCreatorCheck.error ? comicCreatorCheck.error : 'Comic creator or method not found.';
+            logger.error(`[Puppeteer] Failed comic creator sanity check: ${errorMessage}`);
+            throw new Error(`Failed comic creator sanity check: ${errorMessage}`);
+        }
+        logger.debug('[Puppeteer] window.comicCreator and method _loadProjectFromState verified.');
+
+        // Ensure fonts are loaded before attempting to load any project state
+        logger.debug('[Puppeteer] Waiting for document fonts to be ready...');
+        await page.evaluate(() => document.fonts.ready);
+        logger.debug('[Puppeteer] Document fonts are ready.');
+
+        // Expose a function to the page that returns the state for the current render.
+        // This avoids serializing the potentially huge projectState as a direct argument to page.evaluate.
+        // It can only be exposed once per page, so it reads whatever state the session holds right now.
+        logger.debug('[Puppeteer] Exposing window.getPuppeteerProjectState function...');
+        await page.exposeFunction('getPuppeteerProjectState', () => {
+            pageLogger().debug('[Puppeteer Node.js Context] getPuppeteerProjectState called from page. Returning JSON string...');
+            try {
+                const jsonString = JSON.stringify(session.projectState);
+                pageLogger().debug(`[Puppeteer Node.js Context] projectState stringified. Length: ${jsonString.length}`);
+                return jsonString;
+            } catch (stringifyError) {
+                pageLogger().error('[Puppeteer Node.js Context] Error stringifying projectState:', stringifyError);
+                return null;
+            }
+        });
+        logger.debug('[Puppeteer] window.getPuppeteerProjectState exposed.');
+
+        return page;
+    }
+}
+
+// Export a singleton instance
+const browserPool = new BrowserPool();
+export default browserPool;
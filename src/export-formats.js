@@ -0,0 +1,239 @@
+// Packaging of rendered page images into non-PDF containers:
+// CBZ (with ComicInfo.xml), fixed-layout EPUB 3, and a plain ZIP of page images.
+
+import archiver from 'archiver';
+import fs from 'fs-extra';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { logger } from './logger.js';
+
+// Output containers, keyed by the `format` export option
+export const EXPORT_FORMATS = {
+    pdf: { extension: 'pdf', contentType: 'application/pdf' },
+    cbz: { extension: 'cbz', contentType: 'application/vnd.comicbook+zip' },
+    epub: { extension: 'epub', contentType: 'application/epub+zip' },
+    images: { extension: 'zip', contentType: 'application/zip' }
+};
+
+// Page image encodings for the non-PDF formats
+export const IMAGE_FORMATS = {
+    png: { extension: 'png', mediaType: 'image/png' },
+    jpeg: { extension: 'jpg', mediaType: 'image/jpeg' },
+    webp: { extension: 'webp', mediaType: 'image/webp' }
+};
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Zero-padded page names keep the pages in order in readers that sort by file name
+function pageFileName(pageNumber, lastPageNumber, extension) {
+    return `page_${String(pageNumber).padStart(String(lastPageNumber).length, '0')}.${extension}`;
+}
+
+// Page numbers shown in file names and navigation: the original project page numbers
+// when only some pages are exported, otherwise 1..n
+function resolvePageNumbers(pageImagePaths, pageNumbers) {
+    return pageNumbers || pageImagePaths.map((_, index) => index + 1);
+}
+
+/**
+ * Write a ZIP archive, resolving once it is fully flushed to disk
+ * @param {string} outputPath - Archive path
+ * @param {function} addEntries - Called with the archiver instance to append entries
+ */
+async function writeZip(outputPath, addEntries) {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    const finished = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        archive.on('error', reject);
+        archive.on('warning', (warning) => logger.warn('[ExportFormats] Archive warning:', warning.message));
+    });
+
+    archive.pipe(output);
+    addEntries(archive);
+    await archive.finalize();
+    await finished;
+}
+
+function buildComicInfo(metadata, pageCount) {
+    const fields = [
+        ['Title', metadata.title],
+        ['Series', metadata.series],
+        ['Number', metadata.number],
+        ['Summary', metadata.summary],
+        ['Writer', metadata.writer],
+        ['Penciller', metadata.artist],
+        ['Publisher', metadata.publisher],
+        ['LanguageISO', metadata.language],
+        ['PageCount', pageCount],
+        ['Manga', metadata.manga ? 'YesAndRightToLeft' : undefined]
+    ];
+    const body = fields
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([name, value]) => `  <${name}>${escapeXml(value)}</${name}>`)
+        .join('\n');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+${body}
+</ComicInfo>
+`;
+}
+
+/**
+ * Package page images as a CBZ with ComicInfo.xml
+ * @param {string[]} pageImagePaths - Rendered page images, in reading order
+ * @param {string} outputPath - Where to write the .cbz
+ * @param {object} metadata - { title, series, number, summary, writer, artist, publisher, language, manga }
+ * @param {number[]} [pageNumbers] - Original page number of each image (defaults to 1..n)
+ */
+export async function packageCbz(pageImagePaths, outputPath, metadata = {}, pageNumbers = null) {
+    logger.info(`[ExportFormats] Packaging ${pageImagePaths.length} pages into CBZ: ${outputPath}`);
+    const numbers = resolvePageNumbers(pageImagePaths, pageNumbers);
+    await writeZip(outputPath, (archive) => {
+        pageImagePaths.forEach((imagePath, index) => {
+            const extension = path.extname(imagePath).slice(1);
+            archive.file(imagePath, { name: pageFileName(numbers[index], numbers[numbers.length - 1], extension), store: true });
+        });
+        archive.append(buildComicInfo(metadata, pageImagePaths.length), { name: 'ComicInfo.xml' });
+    });
+}
+
+/**
+ * Package page images as a plain ZIP (e.g. for posting to social media)
+ * @param {string[]} pageImagePaths - Rendered page images, in reading order
+ * @param {string} outputPath - Where to write the .zip
+ * @param {number[]} [pageNumbers] - Original page number of each image (defaults to 1..n)
+ */
+export async function packageImagesZip(pageImagePaths, outputPath, pageNumbers = null) {
+    logger.info(`[ExportFormats] Packaging ${pageImagePaths.length} page images into ZIP: ${outputPath}`);
+    const numbers = resolvePageNumbers(pageImagePaths, pageNumbers);
+    await writeZip(outputPath, (archive) => {
+        pageImagePaths.forEach((imagePath, index) => {
+            const extension = path.extname(imagePath).slice(1);
+            archive.file(imagePath, { name: pageFileName(numbers[index], numbers[numbers.length - 1], extension), store: true });
+        });
+    });
+}
+
+/**
+ * Package page images as a fixed-layout (pre-paginated) EPUB 3
+ * @param {string[]} pageImagePaths - Rendered page images, in reading order
+ * @param {string} outputPath - Where to write the .epub
+ * @param {object} metadata - { title, writer, language, identifier, manga }
+ * @param {object} pageSize - { width, height } of a page in CSS pixels
+ * @param {number[]} [pageNumbers] - Original page number of each image (defaults to 1..n)
+ */
+export async function packageEpub(pageImagePaths, outputPath, metadata = {}, pageSize, pageNumbers = null) {
+    logger.info(`[ExportFormats] Packaging ${pageImagePaths.length} pages into fixed-layout EPUB: ${outputPath}`);
+    const title = metadata.title || 'Comic';
+    const language = metadata.language || 'en';
+    const identifier = metadata.identifier || `urn:uuid:${randomUUID()}`;
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    const { width, height } = pageSize;
+    const numbers = resolvePageNumbers(pageImagePaths, pageNumbers);
+    const lastPageNumber = numbers[numbers.length - 1];
+
+    const pages = pageImagePaths.map((imagePath, index) => {
+        const extension = path.extname(imagePath).slice(1);
+        const mediaType = Object.values(IMAGE_FORMATS).find(format => format.extension === extension)?.mediaType || 'image/png';
+        return {
+            imagePath,
+            number: numbers[index],
+            id: `page${numbers[index]}`,
+            imageName: `images/${pageFileName(numbers[index], lastPageNumber, extension)}`,
+            xhtmlName: `${pageFileName(numbers[index], lastPageNumber, 'xhtml')}`,
+            mediaType
+        };
+    });
+
+    const containerXml = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+    const manifestItems = pages.map((page, index) => [
+        `    <item id="${page.id}" href="${page.xhtmlName}" media-type="application/xhtml+xml"/>`,
+        `    <item id="${page.id}-img" href="${page.imageName}" media-type="${page.mediaType}"${index === 0 ? ' properties="cover-image"' : ''}/>`
+    ].join('\n')).join('\n');
+
+    const spineItems = pages.map(page => `    <itemref idref="${page.id}"/>`).join('\n');
+
+    const contentOpf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" prefix="rendition: http://www.idpf.org/vocab/rendition/#">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:language>${escapeXml(language)}</dc:language>${metadata.writer ? `
+    <dc:creator>${escapeXml(metadata.writer)}</dc:creator>` : ''}
+    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:orientation">auto</meta>
+    <meta property="rendition:spread">none</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+${manifestItems}
+  </manifest>
+  <spine page-progression-direction="${metadata.manga ? 'rtl' : 'ltr'}">
+${spineItems}
+  </spine>
+</package>
+`;
+
+    const navXhtml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeXml(language)}">
+<head><title>${escapeXml(title)}</title></head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <ol>
+${pages.map(page => `      <li><a href="${page.xhtmlName}">Page ${page.number}</a></li>`).join('\n')}
+    </ol>
+  </nav>
+  <nav epub:type="page-list" hidden="hidden">
+    <ol>
+${pages.map(page => `      <li><a href="${page.xhtmlName}">${page.number}</a></li>`).join('\n')}
+    </ol>
+  </nav>
+</body>
+</html>
+`;
+
+    const pageXhtml = (page) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${escapeXml(language)}">
+<head>
+  <title>${escapeXml(title)} - Page ${page.number}</title>
+  <meta name="viewport" content="width=${width}, height=${height}"/>
+  <style>html, body { margin: 0; padding: 0; width: ${width}px; height: ${height}px; } img { display: block; width: ${width}px; height: ${height}px; }</style>
+</head>
+<body epub:type="bodymatter">
+  <img src="${page.imageName}" alt="Page ${page.number}"/>
+</body>
+</html>
+`;
+
+    await writeZip(outputPath, (archive) => {
+        // The mimetype entry must come first and be stored uncompressed
+        archive.append('application/epub+zip', { name: 'mimetype', store: true });
+        archive.append(containerXml, { name: 'META-INF/container.xml' });
+        archive.append(contentOpf, { name: 'OEBPS/content.opf' });
+        archive.append(navXhtml, { name: 'OEBPS/nav.xhtml' });
+        pages.forEach((page) => {
+            archive.append(pageXhtml(page), { name: `OEBPS/${page.xhtmlName}` });
+            archive.file(page.imagePath, { name: `OEBPS/${page.imageName}`, store: true });
+        });
+    });
+}
@@ -0,0 +1,240 @@
+// Export job queue with priorities and fair sharing between users.
+// Jobs are picked by, in order:
+//   1. priority class (preview > standard > bulk), improved by one class for every
+//      EXPORT_PRIORITY_AGING_MS spent waiting so nothing starves
+//   2. fair share: owners who have had fewer pages rendered lately go first
+//      (compared in steps of EXPORT_FAIR_SHARE_PAGES so two big jobs alternate in chunks, not page by page)
+//   3. size: jobs with at most EXPORT_SMALL_JOB_PAGES pages left go before bigger ones
+//   4. submission order
+// A running job checks between pages whether a waiting job should go first and, if so,
+// hands over its slot and waits in the queue itself. That lets a 2-page preview render
+// between two pages of a 60-page book instead of waiting for the whole book.
+
+import { EventEmitter } from 'events';
+import { config } from 'dotenv';
+import { logger } from './logger.js';
+
+// Load environment variables
+config();
+
+// Lower rank runs first
+export const EXPORT_PRIORITIES = { preview: 0, standard: 1, bulk: 2 };
+
+// Jobs with at most this many pages left count as small
+export const SMALL_JOB_PAGES = parseInt(process.env.EXPORT_SMALL_JOB_PAGES, 10) || 5;
+// Waiting this long moves a job up one priority class
+const PRIORITY_AGING_MS = parseInt(process.env.EXPORT_PRIORITY_AGING_MS, 10) || 5 * 60 * 1000;
+// Page difference between two owners before the one that is behind goes first
+const FAIR_SHARE_PAGES = parseInt(process.env.EXPORT_FAIR_SHARE_PAGES, 10) || 5;
+
+// Emits 'change' whenever jobs join, leave or move in the queue, so queue positions can be pushed to clients,
+// and 'pause'/'resume' with the job id when a running job gives up its slot and gets it back
+export class ExportQueue extends EventEmitter {
+    constructor(maxConcurrent) {
+        super();
+        this.queue = []; // Waiting entries, unordered; see getOrderedQueue()
+        this.active = new Map(); // jobId -> entry of jobs holding a slot
+        this.running = 0;
+        this.maxConcurrent = maxConcurrent;
+        this.servedPages = new Map(); // ownerId -> pages rendered while the owner had jobs in the queue
+        this.nextSequence = 1;
+    }
+
+    /**
+     * Queue a job
+     * @param {Function} jobFunction - Runs the job; the queue slot is held until it settles
+     * @param {object} info - { jobId, ownerId, priority, pages } (pages still to render)
+     * @returns {Promise<*>} - Settles with the job function
+     */
+    async add(jobFunction, { jobId, ownerId, priority, pages }) {
+        return new Promise((resolve, reject) => {
+            this.activateOwner(ownerId);
+            this.queue.push({
+                execute: jobFunction,
+                jobId,
+                ownerId,
+                rank: EXPORT_PRIORITIES[priority] ?? EXPORT_PRIORITIES.standard,
+                pages,
+                sequence: this.nextSequence++,
+                waitingSince: Date.now(),
+                resolve,
+                reject
+            });
+            this.emit('change');
+            this.processNext();
+        });
+    }
+
+    processNext() {
+        while (this.running < this.maxConcurrent && this.queue.length > 0) {
+            const entry = this.getOrderedQueue()[0];
+            this.queue.splice(this.queue.indexOf(entry), 1);
+            this.running++;
+            this.active.set(entry.jobId, entry);
+            this.emit('change');
+            if (entry.resume) {
+                // A job that gave up its slot between pages carries on where it stopped
+                logger.info(`[ExportQueue] Resuming job ${entry.jobId}. Running: ${this.running}/${this.maxConcurrent}. Queue length: ${this.queue.length}`);
+                entry.resume();
+            } else {
+                this.run(entry);
+            }
+        }
+    }
+
+    async run(entry) {
+        try {
+            logger.info(`[ExportQueue] Processing job ${entry.jobId}. Running: ${this.running}/${this.maxConcurrent}. Queue length: ${this.queue.length}`);
+            const result = await entry.execute();
+            entry.resolve(result);
+        } catch (error) {
+            logger.error('[ExportQueue] Job failed:', error);
+            entry.reject(error);
+        } finally {
+            this.running--;
+            this.active.delete(entry.jobId);
+            this.releaseOwner(entry.ownerId);
+            // Process next job if any
+            if (this.queue.length > 0) {
+                setImmediate(() => this.processNext());
+            }
+        }
+    }
+
+    // Sort key for an entry; `now` ages waiting entries
+    getSortKey(entry, now) {
+        const waited = entry.waitingSince ? now - entry.waitingSince : 0;
+        return [
+            entry.rank - Math.floor(waited / PRIORITY_AGING_MS),
+            Math.floor((this.servedPages.get(entry.ownerId) || 0) / FAIR_SHARE_PAGES),
+            entry.pages <= SMALL_JOB_PAGES ? 0 : 1,
+            entry.sequence
+        ];
+    }
+
+    compareEntries(a, b, now) {
+        const keyA = this.getSortKey(a, now);
+        const keyB = this.getSortKey(b, now);
+        for (let i = 0; i < keyA.length; i++) {
+            if (keyA[i] !== keyB[i]) {
+                return keyA[i] - keyB[i];
+            }
+        }
+        return 0;
+    }
+
+    // Waiting entries in the order they will start
+    getOrderedQueue() {
+        const now = Date.now();
+        return [...this.queue].sort((a, b) => this.compareEntries(a, b, now));
+    }
+
+    /**
+     * Called by a running job before each page. Counts the page towards the owner's fair share and,
+     * if a waiting job should go first, gives up the slot until the job is picked again.
+     * @param {string} jobId - Running job
+     * @param {number} pagesLeft - Pages the job still has to render
+     * @param {AbortSignal} [signal] - Cancelling the job ends the wait
+     * @returns {Promise<boolean>} - Whether the job waited in the queue
+     */
+    async checkpoint(jobId, pagesLeft, signal) {
+        const entry = this.active.get(jobId);
+        if (!entry) {
+            return false;
+        }
+        entry.pages = pagesLeft;
+
+        const now = Date.now();
+        // Compared as if it were queued right now, so its own time in the queue doesn't count twice
+        const self = { ...entry, waitingSince: now };
+        const next = this.getOrderedQueue()[0];
+        const yielded = !!next && this.compareEntries(next, self, now) < 0;
+        if (yielded) {
+            logger.info(`[ExportQueue] Job ${jobId} pausing for job ${next.jobId}`);
+            this.emit('pause', jobId);
+            await this.waitForSlot(self, signal);
+            if (!signal?.aborted) {
+                this.emit('resume', jobId);
+            }
+        }
+        this.servedPages.set(entry.ownerId, (this.servedPages.get(entry.ownerId) || 0) + 1);
+        return yielded;
+    }
+
+    // Release the slot, queue the job again and resolve when it gets a slot back (or is cancelled)
+    waitForSlot(entry, signal) {
+        return new Promise(resolve => {
+            const onAbort = () => {
+                const index = this.queue.indexOf(resumeEntry);
+                if (index !== -1) {
+                    // Take a slot back right away so the job can clean up; run() releases it as usual
+                    this.queue.splice(index, 1);
+                    this.running++;
+                    this.active.set(entry.jobId, resumeEntry);
+                    this.emit('change');
+                    resolve();
+                }
+            };
+            const resumeEntry = {
+                ...entry,
+                resume: () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                }
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.running--;
+            this.active.delete(entry.jobId);
+            this.queue.push(resumeEntry);
+            this.emit('change');
+            this.processNext();
+        });
+    }
+
+    // Owners joining the queue start level with the least-served active owner, so they neither
+    // jump ahead for a long time nor pay for pages rendered before they arrived
+    activateOwner(ownerId) {
+        if (this.servedPages.has(ownerId)) {
+            return;
+        }
+        const served = [...this.servedPages.values()];
+        this.servedPages.set(ownerId, served.length > 0 ? Math.min(...served) : 0);
+    }
+
+    releaseOwner(ownerId) {
+        const stillActive = this.queue.some(entry => entry.ownerId === ownerId)
+            || [...this.active.values()].some(entry => entry.ownerId === ownerId);
+        if (!stillActive) {
+            this.servedPages.delete(ownerId);
+        }
+    }
+
+    // Take a job out of the queue before it starts; returns false if it isn't waiting.
+    // Jobs paused between pages have started, so they are cancelled through their AbortSignal instead.
+    remove(jobId) {
+        const index = this.queue.findIndex(item => item.jobId === jobId && !item.resume);
+        if (index === -1) {
+            return false;
+        }
+        const [item] = this.queue.splice(index, 1);
+        item.resolve();
+        this.releaseOwner(item.ownerId);
+        this.emit('change');
+        return true;
+    }
+
+    // Jobs waiting to start (paused jobs don't count against EXPORT_MAX_QUEUE)
+    getQueueLength() {
+        return this.queue.filter(item => !item.resume).length;
+    }
+
+    // 1-based position of a waiting job, or 0 if it isn't waiting
+    getPosition(jobId) {
+        return this.getOrderedQueue().findIndex(item => item.jobId === jobId) + 1;
+    }
+
+    getQueuedJobIds() {
+        return this.getOrderedQueue().map(item => item.jobId);
+    }
+}
@@ -0,0 +1,131 @@
+// Upload sessions for large projects.
+// Instead of one huge JSON body with inline images, a client:
+//   1. POST /api/export-sessions                              -> { sessionId }
+//   2. PUT  /api/export-sessions/:sessionId/images/:sha256     (raw image bytes, optionally in
+//                                                              Content-Range chunks; GET the same
+//                                                              path to see how much has arrived)
+//   3. POST /api/export-sessions/:sessionId/export             (project state with "asset:<sha256>" images)
+// Step 3 is handled by the export module; this module keeps the sessions and the upload routes.
+
+import { v4 as uuidv4 } from 'uuid';
+import { config } from 'dotenv';
+import { handleAssetStatus, handleAssetUpload } from './asset-store.js';
+import { canAccessJob } from './auth.js';
+import { logger } from './logger.js';
+
+// Load environment variables
+config();
+
+// Sessions expire this long after their last upload
+const SESSION_TTL_MS = parseInt(process.env.EXPORT_SESSION_TTL_MS, 10) || 60 * 60 * 1000;
+
+export class ExportSessions {
+    constructor() {
+        this.sessions = new Map(); // sessionId -> { id, ownerId, createdAt, expiresAt, assets: Set<hash> }
+    }
+
+    create(ownerId) {
+        const session = {
+            id: uuidv4(),
+            ownerId,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + SESSION_TTL_MS,
+            assets: new Set()
+        };
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    get(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (session && session.expiresAt < Date.now()) {
+            this.sessions.delete(sessionId);
+            return null;
+        }
+        return session || null;
+    }
+
+    touch(session) {
+        session.expiresAt = Date.now() + SESSION_TTL_MS;
+    }
+
+    close(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    // Hashes uploaded to sessions that haven't been submitted yet (kept when pruning the asset store)
+    getPendingAssets() {
+        const hashes = new Set();
+        for (const session of this.sessions.values()) {
+            if (session.expiresAt >= Date.now()) {
+                session.assets.forEach(hash => hashes.add(hash));
+            }
+        }
+        return hashes;
+    }
+
+    removeExpired() {
+        for (const [sessionId, session] of this.sessions) {
+            if (session.expiresAt < Date.now()) {
+                logger.info(`[ExportSessions] Session ${sessionId} expired`);
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+
+    /**
+     * Look up a session for the requesting user, answering 404/403 when it can't be used
+     * @returns {object|null} - The session, or null after a response has been sent
+     */
+    findAuthorized(req, res) {
+        const session = this.get(req.params.sessionId);
+        if (!session) {
+            res.status(404).json({ error: 'Export session not found or expired' });
+            return null;
+        }
+        if (!canAccessJob(req.user, session)) {
+            logger.warn(`[Auth] User ${req.user.id} denied access to export session ${session.id}`);
+            res.status(403).json({ error: 'You do not have access to this export session' });
+            return null;
+        }
+        return session;
+    }
+}
+
+/**
+ * Register the session and upload routes on the API router
+ * @param {import('express').Router} router - API router (mounted at /api)
+ * @param {ExportSessions} sessions - Session registry
+ * @param {import('./asset-store.js').AssetStore} assetStore - Where images are stored
+ */
+export function configureExportSessions(router, sessions, assetStore) {
+    router.post('/export-sessions', (req, res) => {
+        const session = sessions.create(req.user.id);
+        logger.info(`[ExportSessions] Created session ${session.id} for user ${req.user.id}`);
+        res.status(201).json({
+            sessionId: session.id,
+            expiresAt: new Date(session.expiresAt).toISOString()
+        });
+    });
+
+    // How much of an image has been stored, so an interrupted upload can resume
+    router.get('/export-sessions/:sessionId/images/:hash', (req, res) => {
+        const session = sessions.findAuthorized(req, res);
+        if (session) {
+            handleAssetStatus(assetStore, req, res, hash => session.assets.add(hash));
+        }
+    });
+
+    // Raw image bytes; send Content-Range to upload in chunks
+    router.put('/export-sessions/:sessionId/images/:hash', (req, res) => {
+        const session = sessions.findAuthorized(req, res);
+        if (!session) {
+            return;
+        }
+        sessions.touch(session);
+        handleAssetUpload(assetStore, req, res, (hash) => {
+            session.assets.add(hash);
+            logger.info(`[ExportSessions] Session ${session.id} stored image ${hash}`);
+        });
+    });
+}
@@ -0,0 +1,285 @@
+// Storage backends for finished exports.
+// The download endpoints read finished files through one of these, selected by EXPORT_STORAGE:
+//   local - keep the file under EXPORT_OUTPUT_DIR (the original behaviour)
+//   s3    - upload it to an S3-compatible bucket (AWS S3, MinIO, DigitalOcean Spaces, ...) and
+//           hand out time-limited presigned URLs so big files don't stream through Node.
+// Requests to S3 are signed with AWS Signature Version 4.
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import http from 'http';
+import https from 'https';
+import { config } from 'dotenv';
+import { logger } from './logger.js';
+
+// Load environment variables
+config();
+
+// Presigned download links stay valid this long (seconds)
+export const PRESIGNED_URL_EXPIRES = parseInt(process.env.EXPORT_STORAGE_URL_EXPIRES, 10) || 900;
+
+/**
+ * Keeps finished exports where they were written, under EXPORT_OUTPUT_DIR.
+ */
+export class LocalExportStorage {
+    constructor() {
+        this.name = 'local';
+    }
+
+    /**
+     * Store a finished export
+     * @param {string} filePath - File in the job's output directory
+     * @param {object} info - { jobId, fileName, contentType }
+     * @returns {Promise<object>} - Location record saved on the job
+     */
+    async save(filePath, { fileName, contentType }) {
+        const { size } = await fs.stat(filePath);
+        return { backend: this.name, path: filePath, fileName, contentType, size };
+    }
+
+    // Local files are always streamed by the API
+    async getDownloadUrl() {
+        return null;
+    }
+
+    async createReadStream(location) {
+        return fs.createReadStream(location.path);
+    }
+
+    async remove(location) {
+        await fs.remove(location.path);
+    }
+}
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Plain code-point order, which is what SigV4 sorts by (not localeCompare)
+function compareStrings(a, b) {
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// Query string with encoded names and values sorted by name, as signed
+function canonicalQueryString(searchParams) {
+    return [...searchParams.entries()]
+        .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+        .sort(([nameA, valueA], [nameB, valueB]) => (nameA === nameB ? compareStrings(valueA, valueB) : compareStrings(nameA, nameB)))
+        .map(([name, value]) => `${name}=${value}`)
+        .join('&');
+}
+
+function toAmzDate(date) {
+    return date.toISOString().replace(/[:-]|\.\d{3}/g, ''); // YYYYMMDDTHHMMSSZ
+}
+
+/**
+ * Send a request with Node's http(s) module (fetch can't stream an upload with a Content-Length)
+ * @returns {Promise<import('http').IncomingMessage>} - Response, body not yet read
+ */
+function sendRequest(url, { method, headers, body }) {
+    const transport = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+        const request = transport.request(url, { method, headers }, resolve);
+        request.on('error', reject);
+        if (body) {
+            body.on('error', reject);
+            body.pipe(request);
+        } else {
+            request.end();
+        }
+    });
+}
+
+async function readBody(response) {
+    let text = '';
+    for await (const chunk of response) {
+        text += chunk;
+    }
+    return text;
+}
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, DigitalOcean Spaces, ...).
+ */
+export class S3ExportStorage {
+    /**
+     * @param {object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix, presign }
+     */
+    constructor(options) {
+        this.name = 's3';
+        this.bucket = options.bucket;
+        this.region = options.region || 'us-east-1';
+        this.endpoint = new URL(options.endpoint || `https://s3.${this.region}.amazonaws.com`);
+        this.accessKeyId = options.accessKeyId;
+        this.secretAccessKey = options.secretAccessKey;
+        // MinIO and most self-hosted servers need bucket-in-path URLs
+        this.forcePathStyle = !!options.forcePathStyle;
+        this.prefix = options.prefix || '';
+        this.presign = options.presign !== false;
+
+        if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+            throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+    }
+
+    objectUrl(key) {
+        const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+        const url = new URL(this.endpoint.toString());
+        const basePath = url.pathname.replace(/\/$/, '');
+        if (this.forcePathStyle) {
+            url.pathname = `${basePath}/${this.bucket}/${encodedKey}`;
+        } else {
+            url.hostname = `${this.bucket}.${url.hostname}`;
+            url.pathname = `${basePath}/${encodedKey}`;
+        }
+        return url;
+    }
+
+    getSigningKey(dateStamp) {
+        const dateKey = hmac(`AWS4${this.secretAccessKey}`, dateStamp);
+        const regionKey = hmac(dateKey, this.region);
+        const serviceKey = hmac(regionKey, 's3');
+        return hmac(serviceKey, 'aws4_request');
+    }
+
+    /**
+     * Compute a SigV4 signature
+     * @param {object} request - { method, url (URL, query included), headers (lower-case names), payloadHash, date }
+     * @returns {{ signature: string, signedHeaders: string, scope: string }}
+     */
+    sign({ method, url, headers, payloadHash, date }) {
+        const amzDate = toAmzDate(date);
+        const dateStamp = amzDate.slice(0, 8);
+        const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+
+        const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+        const canonicalHeaders = headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('');
+        const signedHeaders = headerNames.join(';');
+
+        const canonicalRequest = [method, url.pathname, canonicalQueryString(url.searchParams), canonicalHeaders, signedHeaders, payloadHash].join('\n');
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+        const signature = crypto.createHmac('sha256', this.getSigningKey(dateStamp)).update(stringToSign).digest('hex');
+        return { signature, signedHeaders, scope };
+    }
+
+    // Send a header-signed request; the payload itself is not hashed so uploads can stream
+    async request(method, key, { headers = {}, body = null } = {}) {
+        const url = this.objectUrl(key);
+        const date = new Date();
+        const signedHeaders = {
+            host: url.host,
+            'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+            'x-amz-date': toAmzDate(date),
+            ...headers
+        };
+        const { signature, signedHeaders: signedHeaderNames, scope } = this.sign({
+            method, url, headers: signedHeaders, payloadHash: 'UNSIGNED-PAYLOAD', date
+        });
+        const authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`;
+        return sendRequest(url, { method, headers: { ...signedHeaders, authorization }, body });
+    }
+
+    async save(filePath, { jobId, fileName, contentType }) {
+        const key = `${this.prefix}${jobId}/${fileName}`;
+        const { size } = await fs.stat(filePath);
+        const response = await this.request('PUT', key, {
+            headers: { 'content-type': contentType, 'content-length': String(size) },
+            body: fs.createReadStream(filePath)
+        });
+        const responseText = await readBody(response);
+        if (response.statusCode !== 200) {
+            throw new Error(`S3 upload of ${key} failed with ${response.statusCode}: ${responseText.slice(0, 300)}`);
+        }
+        logger.info(`[ExportStorage] Uploaded ${key} (${size} bytes) to bucket ${this.bucket}`);
+        return { backend: this.name, bucket: this.bucket, key, fileName, contentType, size };
+    }
+
+    /**
+     * Presigned GET URL for a stored export
+     * @param {object} location - Location record from save()
+     * @param {number} [expiresIn] - Seconds the URL stays valid
+     * @returns {Promise<string|null>} - URL, or null when presigning is turned off
+     */
+    async getDownloadUrl(location, expiresIn = PRESIGNED_URL_EXPIRES) {
+        if (!this.presign) {
+            return null;
+        }
+        return this.presignUrl('GET', location.key, expiresIn, new Date(), {
+            'response-content-disposition': `attachment; filename="${location.fileName}"`,
+            'response-content-type': location.contentType
+        });
+    }
+
+    presignUrl(method, key, expiresIn, date, query = {}) {
+        const url = this.objectUrl(key);
+        const amzDate = toAmzDate(date);
+        const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+        Object.entries({
+            'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+            'X-Amz-Credential': `${this.accessKeyId}/${scope}`,
+            'X-Amz-Date': amzDate,
+            'X-Amz-Expires': String(expiresIn),
+            'X-Amz-SignedHeaders': 'host',
+            ...query
+        }).forEach(([name, value]) => url.searchParams.set(name, value));
+
+        const { signature } = this.sign({ method, url, headers: { host: url.host }, payloadHash: 'UNSIGNED-PAYLOAD', date });
+        // Built by hand: URLSearchParams would encode spaces as "+" instead of the signed "%20"
+        return `${url.origin}${url.pathname}?${canonicalQueryString(url.searchParams)}&X-Amz-Signature=${signature}`;
+    }
+
+    // Used when presigned URLs are turned off: the API streams the object itself
+    async createReadStream(location) {
+        const response = await this.request('GET', location.key);
+        if (response.statusCode !== 200) {
+            const responseText = await readBody(response);
+            throw new Error(`S3 download of ${location.key} failed with ${response.statusCode}: ${responseText.slice(0, 300)}`);
+        }
+        return response;
+    }
+
+    async remove(location) {
+        const response = await this.request('DELETE', location.key);
+        await readBody(response);
+        if (response.statusCode !== 204 && response.statusCode !== 200) {
+            throw new Error(`S3 delete of ${location.key} failed with ${response.statusCode}`);
+        }
+    }
+}
+
+/**
+ * Create the storage backend selected by EXPORT_STORAGE ('local' or 's3')
+ * @returns {LocalExportStorage|S3ExportStorage}
+ */
+export function createExportStorage() {
+    const type = process.env.EXPORT_STORAGE || 'local';
+    if (type === 's3') {
+        const storage = new S3ExportStorage({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION,
+            endpoint: process.env.S3_ENDPOINT,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            prefix: process.env.S3_PREFIX,
+            presign: process.env.EXPORT_STORAGE_PRESIGN !== 'false'
+        });
+        logger.info(`[ExportStorage] Storing finished exports in bucket ${storage.bucket} at ${storage.endpoint.origin}${storage.presign ? ' (presigned downloads)' : ''}`);
+        return storage;
+    }
+    if (type !== 'local') {
+        logger.warn(`[ExportStorage] Unknown EXPORT_STORAGE "${type}", falling back to local disk`);
+    }
+    logger.info('[ExportStorage] Storing finished exports on local disk');
+    return new LocalExportStorage();
+}
@@ -0,0 +1,161 @@
+// Job store for export jobs.
+// Persists job metadata and the submitted project state so that queued and
+// in-flight exports survive a restart (e.g. PM2's max_memory_restart).
+
+import fs from 'fs-extra';
+import path from 'path';
+import { logger } from './logger.js';
+
+const PROJECT_STATE_FILE = 'project-state.json';
+// Kept in a subdirectory so loadJobs() doesn't mistake it for a job record
+const USAGE_FILE = path.join('usage', 'daily-usage.json');
+
+/**
+ * File-backed store: one JSON file per job in `storeDir`, and the project state
+ * next to the job's rendered pages in `jobOutputDir`.
+ */
+export class FileJobStore {
+    constructor(storeDir) {
+        this.storeDir = storeDir;
+        this.pendingWrites = new Map(); // jobId -> promise, keeps writes for a job in order
+    }
+
+    async init() {
+        await fs.ensureDir(this.storeDir);
+        logger.info(`[JobStore] Using file job store at ${this.storeDir}`);
+    }
+
+    jobFilePath(jobId) {
+        return path.join(this.storeDir, `${jobId}.json`);
+    }
+
+    /**
+     * Persist a snapshot of the job metadata
+     * @param {object} job - Job record (must have an `id`)
+     * @returns {Promise<void>}
+     */
+    saveJob(job) {
+        const snapshot = JSON.stringify(job);
+        const filePath = this.jobFilePath(job.id);
+        const previous = this.pendingWrites.get(job.id) || Promise.resolve();
+
+        // Write to a temp file and rename so a crash mid-write never leaves a truncated record
+        const write = previous
+            .then(async () => {
+                const tempPath = `${filePath}.tmp`;
+                await fs.writeFile(tempPath, snapshot);
+                await fs.rename(tempPath, filePath);
+            })
+            .catch(error => logger.error(`[JobStore] Error saving job ${job.id}:`, error.message))
+            .finally(() => {
+                if (this.pendingWrites.get(job.id) === write) {
+                    this.pendingWrites.delete(job.id);
+                }
+            });
+        this.pendingWrites.set(job.id, write);
+        return write;
+    }
+
+    /**
+     * Load every persisted job record
+     * @returns {Promise<object[]>}
+     */
+    async loadJobs() {
+        const files = (await fs.readdir(this.storeDir)).filter(file => file.endsWith('.json'));
+        const jobs = [];
+        for (const file of files) {
+            try {
+                jobs.push(await fs.readJson(path.join(this.storeDir, file)));
+            } catch (error) {
+                logger.error(`[JobStore] Skipping unreadable job record ${file}:`, error.message);
+            }
+        }
+        return jobs;
+    }
+
+    async deleteJob(jobId) {
+        await (this.pendingWrites.get(jobId) || Promise.resolve());
+        await fs.remove(this.jobFilePath(jobId));
+    }
+
+    /**
+     * Write the submitted project state to the job's output directory
+     * @param {object} job - Job record with `jobOutputDir`
+     * @param {object} projectState - Full project state as submitted
+     * @returns {Promise<string>} - Path of the saved state
+     */
+    async saveProjectState(job, projectState) {
+        await fs.ensureDir(job.jobOutputDir);
+        const statePath = path.join(job.jobOutputDir, PROJECT_STATE_FILE);
+        await fs.writeJson(statePath, projectState);
+        return statePath;
+    }
+
+    async loadProjectState(job) {
+        return fs.readJson(path.join(job.jobOutputDir, PROJECT_STATE_FILE));
+    }
+
+    /**
+     * Persist per-user quota counters
+     * @param {object} usage - { day, users: { [userId]: { jobs, pages } } }
+     */
+    async saveUsage(usage) {
+        const filePath = path.join(this.storeDir, USAGE_FILE);
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeFile(`${filePath}.tmp`, JSON.stringify(usage));
+        await fs.rename(`${filePath}.tmp`, filePath);
+    }
+
+    async loadUsage() {
+        const filePath = path.join(this.storeDir, USAGE_FILE);
+        return (await fs.pathExists(filePath)) ? fs.readJson(filePath) : null;
+    }
+}
+
+/**
+ * Memory-only store: the previous behaviour, nothing survives a restart.
+ */
+export class MemoryJobStore {
+    async init() {
+        logger.info('[JobStore] Using in-memory job store (jobs will not survive restarts)');
+    }
+
+    async saveJob() {}
+
+    async loadJobs() {
+        return [];
+    }
+
+    async deleteJob() {}
+
+    // The running job already holds the state in memory, so there is nothing to keep here
+    async saveProjectState() {
+        return null;
+    }
+
+    async loadProjectState() {
+        return null;
+    }
+
+    async saveUsage() {}
+
+    async loadUsage() {
+        return null;
+    }
+}
+
+/**
+ * Create the job store selected by JOB_STORE ('file' or 'memory')
+ * @param {string} outputDirBase - Export output directory, used for the default store location
+ * @returns {FileJobStore|MemoryJobStore}
+ */
+export function createJobStore(outputDirBase) {
+    const type = process.env.JOB_STORE || 'file';
+    if (type === 'memory') {
+        return new MemoryJobStore();
+    }
+    if (type !== 'file') {
+        logger.warn(`[JobStore] Unknown JOB_STORE "${type}", falling back to file store`);
+    }
+    return new FileJobStore(process.env.JOB_STORE_DIR || path.join(outputDirBase, 'jobs'));
+}
@@ -0,0 +1,234 @@
+// Local, offline PDF compression engine.
+// Re-encodes the images embedded in a PDF as JPEG at a target quality, downsampling
+// anything above the target DPI, so unreleased comics never leave the server.
+
+import fs from 'fs';
+import zlib from 'zlib';
+import sharp from 'sharp';
+import { PDFDocument, PDFName, PDFNumber, PDFDict, PDFArray, PDFRawStream, PDFRef } from 'pdf-lib';
+import { logger } from './logger.js';
+
+// Concrete settings for the compression_level values the iLovePDF API also uses
+export const LOCAL_COMPRESSION_LEVELS = {
+    low: { quality: 85, dpi: 300 },
+    recommended: { quality: 75, dpi: 150 },
+    extreme: { quality: 55, dpi: 96 }
+};
+
+// Components per pixel for the colour spaces we know how to re-encode
+const SUPPORTED_COLOR_SPACES = {
+    DeviceRGB: 3,
+    DeviceGray: 1
+};
+
+function getColorComponents(colorSpace) {
+    if (colorSpace instanceof PDFName) {
+        return SUPPORTED_COLOR_SPACES[colorSpace.decodeText()] || null;
+    }
+    // [/ICCBased stream] with N = 1 or 3
+    if (colorSpace instanceof PDFArray && colorSpace.size() === 2) {
+        const family = colorSpace.lookup(0);
+        const profile = colorSpace.lookup(1);
+        if (family instanceof PDFName && family.decodeText() === 'ICCBased' && profile?.dict) {
+            const components = profile.dict.lookup(PDFName.of('N'));
+            const n = components instanceof PDFNumber ? components.asNumber() : null;
+            return n === 1 || n === 3 ? n : null;
+        }
+    }
+    return null;
+}
+
+function getFilterName(dict) {
+    const filter = dict.lookup(PDFName.of('Filter'));
+    if (filter instanceof PDFName) {
+        return filter.decodeText();
+    }
+    if (filter instanceof PDFArray && filter.size() === 1) {
+        return filter.lookup(0, PDFName).decodeText();
+    }
+    return filter ? 'unsupported' : null;
+}
+
+/**
+ * Find the largest page size (in inches) each image is drawn on.
+ * Images are never shown bigger than their page, so capping their pixels at
+ * page size x DPI never drops them below the target resolution.
+ */
+function collectImagePageSizes(pdfDoc) {
+    const sizes = new Map(); // image ref tag -> { width, height } in inches
+
+    const visitResources = (resources, pageSize, seen) => {
+        const xObjects = resources?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+        if (!xObjects) return;
+        for (const [, value] of xObjects.entries()) {
+            if (!(value instanceof PDFRef) || seen.has(value.tag)) continue;
+            seen.add(value.tag);
+            const xObject = pdfDoc.context.lookup(value);
+            const subtype = xObject?.dict?.lookup(PDFName.of('Subtype'));
+            if (subtype === PDFName.of('Image')) {
+                const previous = sizes.get(value.tag) || { width: 0, height: 0 };
+                sizes.set(value.tag, {
+                    width: Math.max(previous.width, pageSize.width),
+                    height: Math.max(previous.height, pageSize.height)
+                });
+            } else if (subtype === PDFName.of('Form')) {
+                visitResources(xObject.dict.lookupMaybe(PDFName.of('Resources'), PDFDict), pageSize, seen);
+            }
+        }
+    };
+
+    pdfDoc.getPages().forEach(page => {
+        const { width, height } = page.getSize();
+        visitResources(page.node.Resources(), { width: width / 72, height: height / 72 }, new Set());
+    });
+    return sizes;
+}
+
+// An SMask that is fully opaque adds nothing but bytes
+function isOpaqueMask(maskStream) {
+    if (!(maskStream instanceof PDFRawStream) || getFilterName(maskStream.dict) !== 'FlateDecode' || maskStream.dict.has(PDFName.of('DecodeParms'))) {
+        return false;
+    }
+    const alpha = zlib.inflateSync(Buffer.from(maskStream.contents));
+    return alpha.every(value => value === 255);
+}
+
+/**
+ * Re-encode one image stream.
+ * Returns { stream, droppedMask } with the replacement (droppedMask is the ref of an opaque
+ * SMask that is no longer needed), or null to keep the original.
+ */
+async function recompressImage(pdfDoc, stream, pageSize, settings) {
+    const dict = stream.dict;
+    const width = dict.lookup(PDFName.of('Width'), PDFNumber).asNumber();
+    const height = dict.lookup(PDFName.of('Height'), PDFNumber).asNumber();
+    const bitsPerComponent = dict.lookup(PDFName.of('BitsPerComponent'));
+    const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+    const channels = getColorComponents(colorSpace);
+    const filter = getFilterName(dict);
+
+    if (!channels || dict.has(PDFName.of('ImageMask')) || dict.has(PDFName.of('Decode'))) {
+        return null;
+    }
+    if (!(bitsPerComponent instanceof PDFNumber) || bitsPerComponent.asNumber() !== 8) {
+        return null;
+    }
+
+    let input;
+    if (filter === 'DCTDecode') {
+        input = sharp(Buffer.from(stream.contents));
+    } else if (filter === 'FlateDecode' && !dict.has(PDFName.of('DecodeParms'))) {
+        const pixels = zlib.inflateSync(Buffer.from(stream.contents));
+        if (pixels.length !== width * height * channels) {
+            return null;
+        }
+        input = sharp(pixels, { raw: { width, height, channels } });
+    } else {
+        return null;
+    }
+
+    const maxWidth = pageSize ? Math.ceil(pageSize.width * settings.dpi) : width;
+    const maxHeight = pageSize ? Math.ceil(pageSize.height * settings.dpi) : height;
+
+    const { data, info } = await input
+        .resize({ width: maxWidth, height: maxHeight, fit: 'inside', withoutEnlargement: true })
+        .toColourspace(channels === 1 ? 'b-w' : 'srgb')
+        .jpeg({ quality: settings.quality, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+
+    const originalMask = dict.get(PDFName.of('SMask'));
+    let smask = originalMask;
+    if (smask instanceof PDFRef && isOpaqueMask(pdfDoc.context.lookup(smask))) {
+        smask = undefined;
+    }
+
+    if (data.length >= stream.contents.length && smask === originalMask) {
+        return null; // No gain
+    }
+
+    const newDict = pdfDoc.context.obj({
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: info.width,
+        Height: info.height,
+        ColorSpace: dict.get(PDFName.of('ColorSpace')),
+        BitsPerComponent: 8,
+        Filter: 'DCTDecode',
+        Length: data.length
+    });
+    if (smask) {
+        // A soft mask may have a different resolution from its image, so it can stay as it is
+        newDict.set(PDFName.of('SMask'), smask);
+    }
+    return {
+        stream: PDFRawStream.of(newDict, data),
+        droppedMask: smask === originalMask ? null : originalMask
+    };
+}
+
+// Soft masks are images too, but re-encoding them as JPEG would blur the transparency
+function collectSoftMasks(pdfDoc) {
+    const masks = new Set();
+    for (const [, object] of pdfDoc.context.enumerateIndirectObjects()) {
+        const smask = object instanceof PDFRawStream ? object.dict.get(PDFName.of('SMask')) : null;
+        if (smask instanceof PDFRef) {
+            masks.add(smask.tag);
+        }
+    }
+    return masks;
+}
+
+class LocalCompressionEngine {
+    constructor() {
+        this.name = 'local';
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Compress a PDF by re-encoding its images
+     * @param {string} inputFilePath - Path to the original PDF file
+     * @param {string} outputFilePath - Path where compressed PDF should be saved
+     * @param {object} options - { compression_level: 'low' | 'recommended' | 'extreme' }
+     */
+    async compress(inputFilePath, outputFilePath, options = {}) {
+        const level = options.compression_level || 'recommended';
+        const settings = LOCAL_COMPRESSION_LEVELS[level] || LOCAL_COMPRESSION_LEVELS.recommended;
+        logger.info(`[LocalCompression] Compressing with level "${level}":`, settings);
+
+        const pdfDoc = await PDFDocument.load(await fs.promises.readFile(inputFilePath));
+        const imagePageSizes = collectImagePageSizes(pdfDoc);
+        const softMasks = collectSoftMasks(pdfDoc);
+
+        let recompressed = 0;
+        let skipped = 0;
+        for (const [ref, object] of pdfDoc.context.enumerateIndirectObjects()) {
+            if (!(object instanceof PDFRawStream) || object.dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Image') || softMasks.has(ref.tag)) {
+                continue;
+            }
+            try {
+                const replacement = await recompressImage(pdfDoc, object, imagePageSizes.get(ref.tag), settings);
+                if (replacement) {
+                    pdfDoc.context.assign(ref, replacement.stream);
+                    if (replacement.droppedMask) {
+                        pdfDoc.context.delete(replacement.droppedMask);
+                    }
+                    recompressed++;
+                } else {
+                    skipped++;
+                }
+            } catch (error) {
+                logger.warn(`[LocalCompression] Could not re-encode image ${ref.tag}:`, error.message);
+                skipped++;
+            }
+        }
+        logger.info(`[LocalCompression] Re-encoded ${recompressed} images, kept ${skipped} as they were`);
+
+        const compressedBytes = await pdfDoc.save({ useObjectStreams: true });
+        await fs.promises.writeFile(outputFilePath, compressedBytes);
+    }
+}
+
+export default LocalCompressionEngine;
@@ -0,0 +1,71 @@
+// Renderer selection.
+// By default pages are rendered by loading the live comic creator at COMIC_CREATOR_URL, so exports
+// depend on that deployment being up and on whatever version it is running. With RENDERER=local the
+// service serves a renderer itself at /renderer/ and Chromium loads it from localhost instead:
+// either a pinned build of the creator (RENDERER_BUNDLE_DIR, built with base path /renderer/) or,
+// without one, the minimal renderer in renderer/ that draws backgrounds, panels and stickers.
+// Every job records which renderer, and which version of it, produced its pages.
+
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from 'dotenv';
+import { logger } from './logger.js';
+
+// Load environment variables
+config();
+
+const RENDERER = (process.env.RENDERER || 'remote').toLowerCase();
+const BUILT_IN_RENDERER_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'renderer');
+export const RENDERER_ROUTE = '/renderer';
+
+/**
+ * Version of a renderer bundle: RENDERER_VERSION, else the `version` in its version.json,
+ * else a hash of its index.html (changes whenever a new build is dropped in)
+ * @param {string} bundleDir - Directory holding the bundle's index.html
+ * @returns {Promise<string>}
+ */
+async function readBundleVersion(bundleDir) {
+    if (process.env.RENDERER_VERSION) {
+        return process.env.RENDERER_VERSION;
+    }
+    const versionFile = await fs.readJson(path.join(bundleDir, 'version.json')).catch(() => null);
+    if (versionFile?.version) {
+        return String(versionFile.version);
+    }
+    const indexHtml = await fs.readFile(path.join(bundleDir, 'index.html'));
+    return `sha256:${crypto.createHash('sha256').update(indexHtml).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Work out which renderer exports use, and serve it when it is local
+ * @param {object} app - Express app (the renderer is mounted outside /api, it needs no auth)
+ * @param {number|string} port - Port the service listens on
+ * @returns {Promise<{ source: string, url: string, version: string|null }>} - source is 'remote',
+ *   'bundle' or 'built-in'; version is null for the remote creator, whose version we can't know
+ * @throws {Error} - If RENDERER is unknown or the bundle has no index.html
+ */
+export async function configureRenderer(app, port) {
+    if (RENDERER === 'remote') {
+        const url = process.env.COMIC_CREATOR_URL || 'http://localhost:5173';
+        return { source: 'remote', url, version: null };
+    }
+    if (RENDERER !== 'local') {
+        throw new Error(`Unknown RENDERER "${process.env.RENDERER}" (expected "remote" or "local")`);
+    }
+
+    const bundleDir = process.env.RENDERER_BUNDLE_DIR ? path.resolve(process.env.RENDERER_BUNDLE_DIR) : BUILT_IN_RENDERER_DIR;
+    if (!(await fs.pathExists(path.join(bundleDir, 'index.html')))) {
+        throw new Error(`Renderer bundle ${bundleDir} has no index.html`);
+    }
+    const version = await readBundleVersion(bundleDir);
+    const source = process.env.RENDERER_BUNDLE_DIR ? 'bundle' : 'built-in';
+
+    // index.html is re-read on every page load; keep the bundle's hashed assets cached in Chromium
+    app.use(RENDERER_ROUTE, express.static(bundleDir, { index: 'index.html', maxAge: '1h' }));
+    const url = `http://127.0.0.1:${port}${RENDERER_ROUTE}/`;
+    logger.info(`[Renderer] Serving ${source} renderer ${version} from ${bundleDir} at ${url}`);
+    return { source, url, version };
+}
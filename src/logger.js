@@ -0,0 +1,110 @@
+// Logging with levels, JSON output and job context.
+// LOG_LEVEL (debug, info, warn, error; default info) drops quieter lines. LOG_FORMAT=json (the default)
+// writes one JSON object per line for log collectors; LOG_FORMAT=text writes "<time> [Tag] message" lines.
+// Lines logged while a job runs carry its jobId and page automatically: runExportJob starts a context
+// with runWithLogContext() and AsyncLocalStorage carries it through every await.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs-extra';
+import path from 'path';
+import util from 'util';
+import { config } from 'dotenv';
+
+// Load environment variables
+config();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Run fn with a log context (e.g. { jobId }) that every line logged inside it carries
+ * @param {object} context - Fields for the context; replaces any outer context
+ * @param {Function} fn - Work to run
+ * @returns {*} - Whatever fn returns
+ */
+export function runWithLogContext(context, fn) {
+    return contextStorage.run({ ...context }, fn);
+}
+
+/**
+ * Add fields to the current log context (e.g. the page being rendered)
+ * @param {object} fields - Fields to set
+ */
+export function setLogContext(fields) {
+    const context = contextStorage.getStore();
+    if (context) {
+        Object.assign(context, fields);
+    }
+}
+
+// Copy of the current log context, to hand to a render worker or keep on a browser session
+export function getLogContext() {
+    return { ...(contextStorage.getStore() || {}) };
+}
+
+function serializeError(error) {
+    return { name: error.name, message: error.message, stack: error.stack };
+}
+
+function write(level, args, fields) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+        return;
+    }
+    // Fields set to undefined (e.g. page once rendering is over) are left out
+    const context = Object.fromEntries(Object.entries({ ...getLogContext(), ...fields }).filter(([, value]) => value !== undefined));
+    const error = args.find(arg => arg instanceof Error);
+    const message = util.formatWithOptions({ breakLength: Infinity }, ...args.filter(arg => arg !== error));
+    const output = level === 'error' || level === 'warn' ? console.error : console.log;
+
+    if (LOG_FORMAT === 'text') {
+        const contextText = Object.entries(context).map(([name, value]) => `${name}=${value}`).join(' ');
+        output(`${new Date().toISOString()} ${message}${contextText ? ` (${contextText})` : ''}${error ? `\n${error.stack}` : ''}`);
+        return;
+    }
+
+    // "[BrowserPool] Reusing warm browser" -> component "BrowserPool"; "[Vite Server Job <id>]" -> "Vite Server"
+    const tag = /^\[([^\]]+)\]\s*/.exec(message);
+    const line = {
+        time: new Date().toISOString(),
+        level,
+        ...(tag ? { component: tag[1].replace(/ Job [0-9a-f-]{36}$/, '') } : {}),
+        msg: tag ? message.slice(tag[0].length) : message,
+        ...context,
+        ...(error ? { error: serializeError(error) } : {})
+    };
+    output(JSON.stringify(line));
+}
+
+function createLogger(fields = {}) {
+    return {
+        debug: (...args) => write('debug', args, fields),
+        info: (...args) => write('info', args, fields),
+        warn: (...args) => write('warn', args, fields),
+        error: (...args) => write('error', args, fields),
+        // Logger whose lines carry these fields on top of the current context
+        child: childFields => createLogger({ ...fields, ...childFields })
+    };
+}
+
+export const logger = createLogger();
+
+/**
+ * Save something too big for the log (a DOM dump, say) next to the job's other files
+ * @param {string} directory - The job's output directory
+ * @param {string} name - File name inside its debug/ folder
+ * @param {string|Buffer} content - What to save
+ * @returns {Promise<string|null>} - Path written, or null if it couldn't be saved
+ */
+export async function writeDebugArtifact(directory, name, content) {
+    try {
+        const artifactPath = path.join(directory, 'debug', name);
+        await fs.outputFile(artifactPath, content);
+        return artifactPath;
+    } catch (error) {
+        logger.warn(`[Logger] Could not save debug artifact ${name}:`, error.message);
+        return null;
+    }
+}
@@ -0,0 +1,200 @@
+// Prometheus metrics for the export service, served in the text exposition format at GET /metrics.
+// Counters and histograms are updated where things happen; gauges that describe current state
+// (jobs by status, queue depth, memory) are computed on every scrape.
+// Render workers (RENDER_MODE=worker) load their own copy of this module and forward their
+// updates to the server process over IPC, so one scrape covers every process.
+
+import crypto from 'crypto';
+import { config } from 'dotenv';
+
+// Load environment variables
+config();
+
+// When set, /metrics needs `Authorization: Bearer <METRICS_TOKEN>`
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+const registry = new Map(); // name -> metric, in registration order
+let forwardUpdate = null; // Set in render workers, see forwardMetrics()
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatNumber(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.series = new Map(); // Serialised labels -> { labels, ... }
+        registry.set(name, this);
+    }
+
+    // In a render worker, hand the update to the server process instead of recording it
+    forward(method, args) {
+        if (!forwardUpdate) {
+            return false;
+        }
+        forwardUpdate({ name: this.name, method, args });
+        return true;
+    }
+
+    getSeries(labels, create) {
+        const key = JSON.stringify(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    render() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSamples()].join('\n');
+    }
+}
+
+export class Counter extends Metric {
+    constructor(name, help) {
+        super('counter', name, help);
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (!this.forward('inc', [labels, amount])) {
+            this.getSeries(labels, () => ({ value: 0 })).value += amount;
+        }
+    }
+
+    renderSamples() {
+        return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+    }
+}
+
+// Current value computed on every scrape: collect() returns [{ labels, value }]
+export class Gauge extends Metric {
+    constructor(name, help, collect) {
+        super('gauge', name, help);
+        this.collect = collect;
+    }
+
+    renderSamples() {
+        return this.collect().map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+    }
+}
+
+export class Histogram extends Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {number[]} buckets - Upper bounds, ascending (+Inf is added)
+     */
+    constructor(name, help, buckets) {
+        super('histogram', name, help);
+        this.buckets = [...buckets, Infinity];
+    }
+
+    observe(value, labels = {}) {
+        if (this.forward('observe', [value, labels])) {
+            return;
+        }
+        const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        // Counts are kept cumulative, as exposed
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.counts[index]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSamples() {
+        return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: formatNumber(bound) })} ${counts[index]}`),
+            `${this.name}_sum${formatLabels(labels)} ${formatNumber(sum)}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ]);
+    }
+}
+
+// Export pipeline
+export const pageRenderSeconds = new Histogram('comic_export_page_render_seconds',
+    'Time to render one page, including waiting for a browser', [1, 2, 5, 10, 15, 20, 30, 45, 60, 90, 120, 180]);
+export const browserLaunchSeconds = new Histogram('comic_export_browser_launch_seconds',
+    'Time from launching Chromium until the creator app is ready', [0.5, 1, 2, 5, 10, 20, 30, 60, 90]);
+export const mergeSeconds = new Histogram('comic_export_merge_seconds',
+    'Time to merge the page PDFs into one document', [0.1, 0.5, 1, 2, 5, 10, 30, 60, 120]);
+export const compressionSeconds = new Histogram('comic_export_compression_seconds',
+    'Time spent compressing the final PDF', [1, 5, 10, 30, 60, 120, 300, 600]);
+export const compressionRatio = new Histogram('comic_export_compression_ratio',
+    'Compressed size divided by original size for successful compressions', [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1]);
+export const jobDurationSeconds = new Histogram('comic_export_job_duration_seconds',
+    'Time from submission until a job finished', [10, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200]);
+export const jobsFinishedTotal = new Counter('comic_export_jobs_finished_total',
+    'Jobs that reached a final status');
+export const rejectedRequestsTotal = new Counter('comic_export_rejected_requests_total',
+    'Export requests turned away before being queued, by reason');
+export const pageCacheTotal = new Counter('comic_export_page_cache_total',
+    'Export pages looked up in the render cache, by result (hit, miss)');
+export const previewsTotal = new Counter('comic_export_previews_total',
+    'Page previews requested, by result (cache_hit, rendered, failed, busy, quota)');
+
+// Process memory
+new Gauge('process_resident_memory_bytes', 'Resident set size of the server process', () => [{ value: process.memoryUsage().rss }]);
+new Gauge('nodejs_heap_size_used_bytes', 'V8 heap in use', () => [{ value: process.memoryUsage().heapUsed }]);
+new Gauge('nodejs_heap_size_total_bytes', 'V8 heap allocated', () => [{ value: process.memoryUsage().heapTotal }]);
+new Gauge('nodejs_external_memory_bytes', 'Memory held by buffers and other objects outside the V8 heap', () => [{ value: process.memoryUsage().external }]);
+
+/**
+ * Send this process's metric updates somewhere else instead of recording them (used by render workers)
+ * @param {Function} send - Called with { name, method, args } for each update
+ */
+export function forwardMetrics(send) {
+    forwardUpdate = send;
+}
+
+/**
+ * Apply an update forwarded by a render worker
+ * @param {{ name: string, method: string, args: Array }} update
+ */
+export function applyForwardedMetric({ name, method, args }) {
+    const metric = registry.get(name);
+    if (metric && (method === 'inc' || method === 'observe')) {
+        metric[method](...args);
+    }
+}
+
+export function renderMetrics() {
+    return `${[...registry.values()].map(metric => metric.render()).join('\n')}\n`;
+}
+
+function tokenMatches(header) {
+    const token = /^Bearer (.+)$/i.exec(header || '')?.[1];
+    if (!token) {
+        return false;
+    }
+    const expected = crypto.createHash('sha256').update(METRICS_TOKEN).digest();
+    return crypto.timingSafeEqual(crypto.createHash('sha256').update(token).digest(), expected);
+}
+
+// Express handler for GET /metrics
+export function metricsHandler(req, res) {
+    if (METRICS_TOKEN && !tokenMatches(req.get('authorization'))) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(401).send('Unauthorized\n');
+    }
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+}
@@ -0,0 +1,429 @@
+// Page renderer: captures one page of the comic creator app as a single-page PDF
+// (raster or vector) or as an image, using a warm session from the browser pool.
+// Kept apart from the export queue so render worker processes can load it on their own.
+
+import browserPool, { saveErrorScreenshot, DEFAULT_VIEWPORT } from './browser-pool.js'; // Warm Chromium sessions
+import fs from 'fs-extra';
+import { PDFDocument } from 'pdf-lib';
+import { logger } from './logger.js';
+
+// Scale range Chromium's page.pdf accepts
+const PDF_SCALE_MIN = 0.1;
+const PDF_SCALE_MAX = 2;
+
+// Stop at a safe point once the job has been cancelled
+function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw new Error('Export cancelled');
+    }
+}
+
+// Raster mode: screenshot #comic-canvas and embed the PNG in a canvasWidth x canvasHeight point page
+async function writeRasterPagePdf(page, boundingBox, projectState, outputPdfPath) {
+    logger.debug('[Puppeteer] Taking screenshot of #comic-canvas...');
+    const pngScreenshotBuffer = await page.screenshot({
+        clip: {
+            x: boundingBox.x,
+            y: boundingBox.y,
+            width: boundingBox.width, // Use calculated boundingBox width for the clip
+            height: boundingBox.height // Use calculated boundingBox height for the clip
+        },
+        type: 'png',
+        omitBackground: false // Set to false to include canvas background; true if it should be transparent and handled by PDF bg
+    });
+    logger.debug('[Puppeteer] Screenshot taken.');
+
+    logger.debug('[Puppeteer] Creating PDF with embedded screenshot...');
+    const pdfDoc = await PDFDocument.create();
+    let pdfPageWidth = projectState.canvasWidth || 700; // Fallback if undefined
+    let pdfPageHeight = projectState.canvasHeight || 700; // Fallback if undefined
+
+    logger.debug(`[Puppeteer] PDF Page Dimensions: Width=${pdfPageWidth}, Height=${pdfPageHeight}`);
+
+    const pageOfPdf = pdfDoc.addPage([pdfPageWidth, pdfPageHeight]);
+    
+    const pngImage = await pdfDoc.embedPng(pngScreenshotBuffer);
+
+    // Draw the image to fill the PDF page. 
+    // The image itself was clipped to the canvas dimensions.
+    pageOfPdf.drawImage(pngImage, {
+        x: 0,
+        y: 0, 
+        width: pdfPageWidth,  // Scale image to fill the PDF page width
+        height: pdfPageHeight, // Scale image to fill the PDF page height
+    });
+
+    const pdfBytes = await pdfDoc.save();
+    await fs.writeFile(outputPdfPath, pdfBytes);
+    logger.debug(`[Puppeteer] PDF with screenshot for current page saved to ${outputPdfPath}`);
+}
+
+// Image formats (CBZ/EPUB/ZIP): screenshot #comic-canvas straight to a png/jpeg/webp file
+async function writePageImage(page, boundingBox, outputPath, imageFormat, imageQuality) {
+    logger.debug(`[Puppeteer] Taking ${imageFormat} screenshot of #comic-canvas...`);
+    await page.screenshot({
+        path: outputPath,
+        clip: {
+            x: boundingBox.x,
+            y: boundingBox.y,
+            width: boundingBox.width,
+            height: boundingBox.height
+        },
+        type: imageFormat,
+        ...(imageFormat === 'png' ? {} : { quality: imageQuality }),
+        omitBackground: false
+    });
+    logger.debug(`[Puppeteer] Page image saved to ${outputPath}`);
+}
+
+// Vector mode: print #comic-canvas through Chromium's PDF printer so text stays selectable and fonts are embedded.
+// The canvas is already pinned to the top-left corner with everything else hidden, so printing the first
+// page at the canvas size captures exactly the canvas.
+async function writeVectorPagePdf(page, boundingBox, projectState, outputPdfPath) {
+    const pdfPageWidth = projectState.canvasWidth || boundingBox.width;
+    const pdfPageHeight = projectState.canvasHeight || boundingBox.height;
+
+    // 1pt = 96/72 CSS px, so scale the rendered canvas up to fill the page. Chromium only accepts
+    // scales within PDF_SCALE_MIN..PDF_SCALE_MAX; past that, print at the limit on a paper size
+    // that still fits the canvas and resize the printed page to canvasWidth x canvasHeight points after
+    const scale = (pdfPageWidth / boundingBox.width) * (96 / 72);
+    const printScale = Math.min(PDF_SCALE_MAX, Math.max(PDF_SCALE_MIN, scale));
+    const paperFactor = printScale / scale;
+
+    // Use screen styles and make sure late-loading web fonts are in before printing
+    await page.emulateMediaType('screen');
+    await page.evaluate(() => document.fonts.ready);
+
+    logger.debug(`[Puppeteer] Printing #comic-canvas to vector PDF. Page Dimensions: Width=${pdfPageWidth}pt, Height=${pdfPageHeight}pt, scale ${scale}${paperFactor !== 1 ? ` (printed at ${printScale})` : ''}`);
+    await page.pdf({
+        path: outputPdfPath,
+        printBackground: true,
+        // Size the page in points so it matches the raster output (canvasWidth x canvasHeight points)
+        width: `${(pdfPageWidth * paperFactor) / 72}in`,
+        height: `${(pdfPageHeight * paperFactor) / 72}in`,
+        margin: { top: '0px', right: '0px', bottom: '0px', left: '0px' },
+        scale: printScale,
+        pageRanges: '1',
+        preferCSSPageSize: false,
+        timeout: 120000
+    });
+
+    if (paperFactor !== 1) {
+        // Scale the page (content and boxes) back to the canvas size in points
+        const pdfDoc = await PDFDocument.load(await fs.readFile(outputPdfPath));
+        const [pdfPage] = pdfDoc.getPages();
+        pdfPage.scale(1 / paperFactor, 1 / paperFactor);
+        await fs.writeFile(outputPdfPath, await pdfDoc.save());
+    }
+    logger.debug(`[Puppeteer] Vector PDF for current page saved to ${outputPdfPath}`);
+}
+
+export async function capturePageAsImage(comicCreatorUrl, outputDirectory, projectState, outputPath, renderOptions = {}) { // outputPath is a single-page PDF, or an image when renderOptions.imageFormat is set
+  logger.debug(`[Puppeteer] Acquiring browser session for output: ${outputPath}`);
+
+  const { signal } = renderOptions;
+
+  // The pool hands back a page that already has the comic creator app loaded
+  const session = await browserPool.acquire(comicCreatorUrl, outputDirectory, signal, { urgent: renderOptions.urgent });
+  const page = session.page;
+  let failed = false;
+
+  // Cancelling the job kills Chromium so the render stops mid-page
+  const onAbort = () => browserPool.abortSession(session, 'export job cancelled');
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    throwIfCancelled(signal);
+
+    // The page reads this through window.getPuppeteerProjectState (exposed once per session)
+    session.projectState = projectState;
+    // Uploaded images are served to the page from here (see browserPool request interception)
+    session.assetDir = renderOptions.assetDir || null;
+
+    // Viewport and resolution differ per job (canvas size, dpi/scale), so adjust the warm page if needed
+    const viewport = renderOptions.viewport || DEFAULT_VIEWPORT;
+    const currentViewport = page.viewport();
+    if (currentViewport.width !== viewport.width || currentViewport.height !== viewport.height || currentViewport.deviceScaleFactor !== viewport.deviceScaleFactor) {
+      logger.debug(`[Puppeteer] Setting viewport to ${viewport.width}x${viewport.height} @ deviceScaleFactor ${viewport.deviceScaleFactor}`);
+      await page.setViewport({ ...currentViewport, ...viewport });
+    }
+
+    // Load the project state for this page
+    logger.debug('[Puppeteer] Attempting to call _loadProjectFromState via page.evaluate, using exposed function for state...');
+    const loadResult = await page.evaluate(async () => { // Renamed from loadSuccess
+        console.log('[Page Eval - Load] Entered page.evaluate for _loadProjectFromState.');
+        let stateFromNode;
+        try {
+            console.log('[Page Eval - Load] Calling window.getPuppeteerProjectState()...');
+            const projectStateJSON = await window.getPuppeteerProjectState();
+            console.log(`[Page Eval - Load] Received potential JSON string from getPuppeteerProjectState. Length: ${projectStateJSON ? projectStateJSON.length : 'null/undefined'}`);
+            if (!projectStateJSON) {
+                console.error('[Page Eval - Load] projectStateJSON is null or undefined after calling getPuppeteerProjectState.');
+                return { success: false, error: 'Received null/undefined projectStateJSON from getPuppeteerProjectState' };
+            }
+            console.log('[Page Eval - Load] Parsing projectStateJSON...');
+            stateFromNode = JSON.parse(projectStateJSON);
+            console.log('[Page Eval - Load] projectStateJSON parsed successfully.');
+        } catch (e) {
+            console.error('[Page Eval - Load] Error calling getPuppeteerProjectState or parsing its result:', e);
+            return { success: false, error: `Error getting/parsing state: ${e.message}` };
+      }
+      
+        if (!window.comicCreator) {
+            console.error('[Page Eval - Load] window.comicCreator not found.');
+            return { success: false, error: 'window.comicCreator not found' };
+        }
+        if (typeof window.comicCreator._loadProjectFromState !== 'function') {
+            console.error('[Page Eval - Load] window.comicCreator._loadProjectFromState is not a function.');
+            return { success: false, error: 'window.comicCreator._loadProjectFromState not a function' };
+        }
+
+        try {
+            console.log('[Page Eval - Load] Calling window.comicCreator._loadProjectFromState...');
+            await window.comicCreator._loadProjectFromState(stateFromNode);
+            console.log('[Page Eval - Load] _loadProjectFromState completed.');
+            return { success: true };
+        } catch (e) {
+            console.error('[Page Eval - Load] Error executing _loadProjectFromState:', e);
+            return { success: false, error: `Error in _loadProjectFromState: ${e.message}` };
+        }
+    });
+
+    // console.log('[Puppeteer] Load success status from page.evaluate:', loadSuccess); // old
+    logger.debug('[Puppeteer] Load result from page.evaluate:', loadResult);
+
+    if (!loadResult || !loadResult.success) {
+        const errorMessage = loadResult && loadResult.error ? loadResult.error : 'Unknown error during project state loading in Puppeteer page.';
+        logger.error(`[Puppeteer] Project loading failed: ${errorMessage}`);
+        // Try to get more details from the page if possible
+        const pageError = await page.evaluate(() => {
+          return window.comicCreator ? window.comicCreator.lastError : "No specific error found on comicCreator.";
+        }).catch(e => `Could not get error from page: ${e.message}`);
+        logger.error(`[Puppeteer] Page-specific error detail: ${pageError}`);
+        throw new Error(`Project loading failed in Puppeteer: ${errorMessage}. Page detail: ${pageError}`);
+    }
+
+    logger.debug('[Puppeteer] Project state loaded successfully. Waiting for any final rendering...');
+    
+    // Add delay for rendering to complete after state loading
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    // Instead of specific elements, let's wait for images to be loaded if that's a concern
+    logger.debug('[Puppeteer] Waiting for images to load on the page (if any)...');
+    await page.evaluate(async () => {
+        const images = Array.from(document.images);
+        const promises = images.map(img => {
+            if (img.complete) return Promise.resolve();
+            return new Promise((resolve, reject) => {
+              img.onload = resolve;
+                img.onerror = () => resolve(); // Resolve on error too, don't block indefinitely
+            });
+        });
+        await Promise.all(promises);
+    }, { timeout: 60000 }); // Extended timeout for image loading
+    logger.debug('[Puppeteer] All images on page considered loaded or timed out.');
+
+    // Record the source size of each image on the canvas so the caller can check effective DPI
+    let imageMetrics = null;
+    if (renderOptions.collectImageMetrics) {
+      imageMetrics = await page.evaluate(() => {
+        const canvas = document.querySelector('#comic-canvas');
+        if (!canvas) return [];
+        return Array.from(canvas.querySelectorAll('img'))
+          .filter(img => img.naturalWidth > 0)
+          .map(img => {
+            const rect = img.getBoundingClientRect();
+            let kind = 'panel';
+            if (img.classList.contains('canvas-sticker-image')) kind = 'sticker';
+            if (img.classList.contains('canvas-background-image')) kind = 'background';
+            return {
+              kind,
+              naturalWidth: img.naturalWidth,
+              naturalHeight: img.naturalHeight,
+              displayWidth: rect.width,
+              displayHeight: rect.height
+            };
+          });
+      });
+    }
+
+    // Wait for a short fixed time after image loading to allow final rendering tweaks
+    await new Promise(resolve => setTimeout(resolve, 1500)); // Adjusted timing for final rendering
+    logger.debug('[Puppeteer] Final rendering delay complete.');
+
+    logger.debug('[Puppeteer] About to get boundingBox. Checking canvas computed styles...');
+    logger.debug(`[Puppeteer] Project state dimensions for check: Width=${projectState.canvasWidth}, Height=${projectState.canvasHeight}`);
+    const canvasComputedStyles = await page.evaluate(() => {
+        const canvas = document.querySelector('#comic-canvas');
+        if (!canvas) return { error: '#comic-canvas not found' };
+        const styles = window.getComputedStyle(canvas);
+        const cs = {
+            width: styles.width,
+            height: styles.height,
+            minWidth: styles.minWidth,
+            minHeight: styles.minHeight,
+            maxWidth: styles.maxWidth,
+            maxHeight: styles.maxHeight,
+            cssVariableWidth: getComputedStyle(document.documentElement).getPropertyValue('--canvas-width').trim(),
+            cssVariableHeight: getComputedStyle(document.documentElement).getPropertyValue('--canvas-height').trim(),
+            offsetWidth: canvas.offsetWidth,
+            offsetHeight: canvas.offsetHeight,
+            clientWidth: canvas.clientWidth,
+            clientHeight: canvas.clientHeight,
+            scrollWidth: canvas.scrollWidth,
+            scrollHeight: canvas.scrollHeight
+        };
+        // Check parent dimensions too
+        if (canvas.parentElement) {
+            const parentStyles = window.getComputedStyle(canvas.parentElement);
+            cs.parentWidth = parentStyles.width;
+            cs.parentHeight = parentStyles.height;
+            cs.parentOffsetWidth = canvas.parentElement.offsetWidth;
+            cs.parentOffsetHeight = canvas.parentElement.offsetHeight;
+        }
+        return cs;
+    });
+    logger.debug('[Puppeteer] Canvas Computed Styles in Puppeteer:', canvasComputedStyles);
+
+    // CRITICAL: Fix text shadows with blur and offsets for export
+    logger.debug('[Puppeteer] Applying text shadow fixes for export...');
+    await page.evaluate(() => {
+      // Find all text elements with shadows and ensure their effects are preserved
+      const textElements = document.querySelectorAll('.text-content[data-has-shadow="true"]');
+      console.log(`[Page] Found ${textElements.length} text elements with shadows`);
+      
+      textElements.forEach((element, index) => {
+        const shadowColor = element.getAttribute('data-shadow-color') || '#666666';
+        const shadowX = element.getAttribute('data-shadow-x') || '2';
+        const shadowY = element.getAttribute('data-shadow-y') || '2';
+        const shadowBlur = element.getAttribute('data-shadow-blur') || '2';
+        
+        // Create the complete shadow string
+        const shadowValue = `${shadowX}px ${shadowY}px ${shadowBlur}px ${shadowColor}`;
+        
+        // Set as CSS custom property for the export CSS to use
+        element.style.setProperty('--export-text-shadow', shadowValue);
+        
+        // Also set the inline style as backup
+        element.style.textShadow = shadowValue;
+        
+        console.log(`[Page] Element ${index}: Applied shadow ${shadowValue}`);
+      });
+    });
+    logger.debug('[Puppeteer] Text shadow fixes applied.');
+
+    // Temporarily hide all elements except the comic canvas and its parents/ancestors
+    await page.evaluate(() => {
+        const canvas = document.querySelector('#comic-canvas');
+        if (!canvas) return;
+
+        // Function to apply style to an element and store its original style
+        const setStyle = (element, styleProperty, value) => {
+            if (!element.dataset.originalInlineStyle) {
+                element.dataset.originalInlineStyle = element.getAttribute('style') || '';
+            }
+            element.style.setProperty(styleProperty, value, 'important');
+        };
+
+        // Hide all direct children of body initially
+        const bodyChildren = Array.from(document.body.children);
+        bodyChildren.forEach(child => {
+            // Check if the child is the canvas itself or contains the canvas
+            if (child !== canvas && !child.contains(canvas)) {
+                setStyle(child, 'display', 'none');
+            } else {
+                // If it's an ancestor or the canvas itself, ensure it's visible
+                // and remove any transformations that might affect its position for capture
+                let current = child;
+                while (current && current !== document.body) {
+                    setStyle(current, 'display', 'block'); // Or initial, or revert to original display
+                    setStyle(current, 'transform', 'none');
+                    setStyle(current, 'position', 'static'); // Temporarily make static if it helps isolate
+                    if (current === canvas.parentElement) {
+                         setStyle(current, 'position', 'relative'); // Ensure parent is relative for absolute children if any
+                    }
+                    current = current.parentElement;
+                }
+            }
+        });
+        // Ensure the canvas itself is correctly positioned and sized for capture
+        setStyle(canvas, 'position', 'absolute'); 
+        setStyle(canvas, 'top', '0px');
+        setStyle(canvas, 'left', '0px');
+        setStyle(canvas, 'margin', '0');
+        setStyle(canvas, 'transform', 'none'); // Remove any transforms
+        
+        // Ensure body and html have no margin/padding that could offset the canvas
+        setStyle(document.body, 'margin', '0');
+        setStyle(document.body, 'padding', '0');
+        setStyle(document.documentElement, 'margin', '0');
+        setStyle(document.documentElement, 'padding', '0');
+    });
+    logger.debug('[Puppeteer] Temporarily hid non-canvas elements.');
+
+    // Get the exact bounding box of the comic-canvas AFTER applying styles
+      const boundingBox = await page.evaluate(() => {
+        const canvas = document.querySelector('#comic-canvas');
+        if (!canvas) return null;
+        // Force a reflow to ensure styles are applied and dimensions are correct
+        canvas.offsetHeight;
+        const rect = canvas.getBoundingClientRect();
+        return {
+          x: Math.round(rect.left),
+          y: Math.round(rect.top),
+            width: Math.round(rect.width), // Use the actual rendered width of the canvas
+            height: Math.round(rect.height), // Use the actual rendered height of the canvas
+            // actualWidth: Math.round(rect.width), // Redundant now
+            // actualHeight: Math.round(rect.height) // Redundant now
+        };
+      });
+
+      if (!boundingBox) {
+        logger.error('[Puppeteer] Could not find #comic-canvas for bounding box after style changes.');
+        // Attempt to restore styles before throwing error
+        await page.evaluate(() => { /* ... style restoration logic ... */ });
+        throw new Error('Could not find #comic-canvas for screenshot bounding box.');
+      }
+    logger.debug(`[Puppeteer] Canvas bounding box for PDF: x=${boundingBox.x}, y=${boundingBox.y}, width=${boundingBox.width}, height=${boundingBox.height}. Actual on-page w/h: ${boundingBox.width}x${boundingBox.height}`);
+
+    if (renderOptions.imageFormat) {
+      await writePageImage(page, boundingBox, outputPath, renderOptions.imageFormat, renderOptions.imageQuality);
+    } else if (renderOptions.outputMode === 'vector') {
+      await writeVectorPagePdf(page, boundingBox, projectState, outputPath);
+    } else {
+      await writeRasterPagePdf(page, boundingBox, projectState, outputPath);
+    }
+
+
+    // Restore visibility of hidden elements
+    await page.evaluate(() => {
+        const elementsWithOriginalStyle = document.querySelectorAll('[data-original-inline-style]');
+        elementsWithOriginalStyle.forEach(el => {
+            el.setAttribute('style', el.dataset.originalInlineStyle);
+            el.removeAttribute('data-original-inline-style');
+        });
+        // Also restore body and html if modified directly and not via dataset
+        document.body.style.margin = ''; 
+        document.body.style.padding = ''; 
+        document.documentElement.style.margin = '';
+        document.documentElement.style.padding = '';
+
+    });
+    logger.debug('[Puppeteer] Restored non-canvas element visibility.');
+
+    return { outputPath, imageMetrics };
+
+  } catch (error) {
+    failed = true;
+    if (signal?.aborted) {
+      throw new Error('Export cancelled');
+    }
+    logger.error('[Puppeteer] Error during export:', error);
+    await saveErrorScreenshot(page, outputDirectory);
+    throw error;
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    // Hand the browser back; a failed render recycles it so the next page starts clean
+    await browserPool.release(session, { failed });
+  }
+}
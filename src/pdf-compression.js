@@ -1,12 +1,70 @@
-// PDF Compression Service using iLovePDF API
-// Using dynamic imports to work with CommonJS package
+// PDF Compression Service with pluggable engines:
+// - ilovepdf: iLovePDF cloud API (uploads the PDF)
+// - local: re-encodes embedded images on this server (see local-compression.js)
+// - none: compression disabled
+// Selected with PDF_COMPRESSION_ENGINE; defaults to ilovepdf when API keys are set, otherwise none.
 import fs from 'fs';
 import path from 'path';
 import { config } from 'dotenv';
+import LocalCompressionEngine from './local-compression.js';
+import { logger } from './logger.js';
 
 // Load environment variables
 config();
 
+// Compression through the iLovePDF API
+// Using dynamic imports to work with CommonJS package
+class ILovePDFCompressionEngine {
+    constructor(publicKey, secretKey) {
+        this.name = 'ilovepdf';
+        this.publicKey = publicKey;
+        this.secretKey = secretKey;
+    }
+
+    isAvailable() {
+        return !!(this.publicKey && this.secretKey);
+    }
+
+    async compress(inputFilePath, outputFilePath, options = {}) {
+        // Dynamic import for CommonJS packages
+        const ILovePDFApi = (await import('@ilovepdf/ilovepdf-nodejs')).default;
+        const ILovePDFFile = (await import('@ilovepdf/ilovepdf-nodejs/ILovePDFFile.js')).default;
+        
+        const instance = new ILovePDFApi(this.publicKey, this.secretKey);
+        const task = instance.newTask('compress');
+        
+        logger.info('[PDFCompression] Task created, starting...');
+        await task.start();
+        
+        logger.info('[PDFCompression] Adding file to compression task:', inputFilePath);
+        const file = new ILovePDFFile(inputFilePath);
+        const uploadedFile = await task.addFile(file);
+        logger.info('[PDFCompression] File added successfully:', uploadedFile);
+        
+        logger.info('[PDFCompression] Processing with effective compression options:', options);
+        await task.process(options);
+        
+        logger.info('[PDFCompression] Downloading compressed result...');
+        const compressedData = await task.download();
+        fs.writeFileSync(outputFilePath, compressedData);
+    }
+}
+
+// Compression turned off
+class NoCompressionEngine {
+    constructor() {
+        this.name = 'none';
+    }
+
+    isAvailable() {
+        return false;
+    }
+
+    async compress() {
+        throw new Error('PDF compression is disabled (PDF_COMPRESSION_ENGINE=none)');
+    }
+}
+
 class PDFCompressionService {
     constructor() {
         // Get API keys from environment variables
@@ -14,38 +72,48 @@ class PDFCompressionService {
         this.secretKey = process.env.ILOVEPDF_SECRET_KEY;
         
         // Log API key status
-        console.log('iLovePDF API Keys:', {
+        logger.info('[PDFCompression] iLovePDF API Keys:', {
             publicKey: this.publicKey ? 'Set' : 'Not Set',
             secretKey: this.secretKey ? 'Set' : 'Not Set'
         });
+
+        this.engine = this.createEngine(process.env.PDF_COMPRESSION_ENGINE);
+        logger.info(`[PDFCompression] Using compression engine: ${this.engine.name}`);
+    }
+
+    createEngine(engineName) {
+        // Without iLovePDF keys PDFs stay uncompressed; the lossy local engine is opt-in
+        const name = engineName || (this.publicKey && this.secretKey ? 'ilovepdf' : 'none');
+        switch (name) {
+            case 'ilovepdf':
+                return new ILovePDFCompressionEngine(this.publicKey, this.secretKey);
+            case 'local':
+                return new LocalCompressionEngine();
+            case 'none':
+                return new NoCompressionEngine();
+            default:
+                logger.warn(`[PDFCompression] Unknown PDF_COMPRESSION_ENGINE "${name}", compression disabled`);
+                return new NoCompressionEngine();
+        }
     }
 
     /**
-     * Compress a PDF file using iLovePDF API
+     * Compress a PDF file with the configured engine
      * @param {string} inputFilePath - Path to the original PDF file
      * @param {string} outputFilePath - Path where compressed PDF should be saved
+     * @param {object} options - { compression_level: 'low' | 'recommended' | 'extreme' }
      * @returns {Promise<object>} - Compression result with statistics
      */
     async compressPDF(inputFilePath, outputFilePath, options = {}) {
         try {
-            console.log('Starting PDF compression task with options:', options);
-            
-            // Dynamic import for CommonJS packages
-            const ILovePDFApi = (await import('@ilovepdf/ilovepdf-nodejs')).default;
-            const ILovePDFFile = (await import('@ilovepdf/ilovepdf-nodejs/ILovePDFFile.js')).default;
-            
-            const instance = new ILovePDFApi(this.publicKey, this.secretKey);
-            const task = instance.newTask('compress');
-            
-            console.log('Task created, starting...');
-            await task.start();
-            
-            console.log('Adding file to compression task:', inputFilePath);
-            // Check if input file exists before attempting to add it
+            logger.info(`[PDFCompression] Starting PDF compression task (${this.engine.name}) with options:`, options);
+
+            // Check if input file exists before handing it to the engine
             if (!fs.existsSync(inputFilePath)) {
-                console.error(`Input file for compression not found: ${inputFilePath}`);
+                logger.error(`[PDFCompression] Input file for compression not found: ${inputFilePath}`);
                 return {
                     success: false,
+                    engine: this.engine.name,
                     error: `Input file not found: ${inputFilePath}`,
                     fallback_impossible: true, // Fallback is impossible if input is missing
                     originalSize: 0,
@@ -53,28 +121,20 @@ class PDFCompressionService {
                     compressionRatio: 0
                 };
             }
-            const file = new ILovePDFFile(inputFilePath);
-            const uploadedFile = await task.addFile(file);
-            console.log('File added successfully:', uploadedFile);
-            
+
             const processOptions = {
                 compression_level: 'recommended', // Default
                 ...options // Allow overriding, e.g., from puppeteer-export.js
             };
-            console.log('Processing with effective compression options:', processOptions);
-            await task.process(processOptions);
-            
-            console.log('Downloading compressed result...');
-            const compressedData = await task.download();
-            fs.writeFileSync(outputFilePath, compressedData);
-            console.log(`Compressed file successfully saved to ${outputFilePath}`);
+            await this.engine.compress(inputFilePath, outputFilePath, processOptions);
+            logger.info(`[PDFCompression] Compressed file successfully saved to ${outputFilePath}`);
             
             // Calculate compression ratio
             const originalSize = fs.statSync(inputFilePath).size;
             const compressedSize = fs.statSync(outputFilePath).size;
             const compressionRatio = originalSize > 0 ? ((originalSize - compressedSize) / originalSize * 100).toFixed(2) : 0;
             
-            console.log('Compression complete:', {
+            logger.info('[PDFCompression] Compression complete:', {
                 originalSize,
                 compressedSize,
                 compressionRatio: `${compressionRatio}%`
@@ -82,12 +142,13 @@ class PDFCompressionService {
             
             return {
                 success: true,
+                engine: this.engine.name,
                 originalSize,
                 compressedSize,
                 compressionRatio
             };
         } catch (error) {
-            console.error('Error during PDF compression or initial file handling:', error);
+            logger.error('[PDFCompression] Error during PDF compression or initial file handling:', error);
             let originalSize = 0;
             let inputExists = false;
 
@@ -96,19 +157,20 @@ class PDFCompressionService {
                     inputExists = true;
                     originalSize = fs.statSync(inputFilePath).size;
                 } else {
-                    console.warn(`Input file ${inputFilePath} does not exist for compression fallback checking.`);
+                    logger.warn(`[PDFCompression] Input file ${inputFilePath} does not exist for compression fallback checking.`);
                 }
             } catch (statError) {
-                console.error(`Error getting original file size for ${inputFilePath} on compression failure:`, statError);
+                logger.error(`[PDFCompression] Error getting original file size for ${inputFilePath} on compression failure:`, statError);
             }
             
             // Attempt fallback copy only if input file exists
             if (inputExists) {
                 try {
                     fs.copyFileSync(inputFilePath, outputFilePath);
-                    console.log(`Using original file as fallback at ${outputFilePath} due to compression error: ${error.message}`);
+                    logger.info(`[PDFCompression] Using original file as fallback at ${outputFilePath} due to compression error: ${error.message}`);
                     return {
                         success: false,
+                        engine: this.engine.name,
                         error: error.message, // The original compression error
                         fallback_used: true,
                         originalSize: originalSize,
@@ -116,10 +178,11 @@ class PDFCompressionService {
                         compressionRatio: "0.00" // No compression achieved
                     };
                 } catch (copyError) {
-                    console.error(`Failed to copy original file ${inputFilePath} as fallback to ${outputFilePath}:`, copyError);
+                    logger.error(`[PDFCompression] Failed to copy original file ${inputFilePath} as fallback to ${outputFilePath}:`, copyError);
                     return {
                         success: false,
-                        error: `Compression API failed: ${error.message}. Fallback copy also failed: ${copyError.message}`,
+                        engine: this.engine.name,
+                        error: `Compression failed: ${error.message}. Fallback copy also failed: ${copyError.message}`,
                         originalSize: originalSize, // Original size if known
                         compressedSize: 0, // Indicate no valid output file
                         compressionRatio: "0.00",
@@ -128,10 +191,11 @@ class PDFCompressionService {
                 }
             } else {
                 // Input file didn't exist when catch block was entered, so cannot copy for fallback
-                console.error(`Input file ${inputFilePath} was not found. Cannot use as fallback.`);
+                logger.error(`[PDFCompression] Input file ${inputFilePath} was not found. Cannot use as fallback.`);
                 return {
                     success: false,
-                    error: `Compression API failed: ${error.message}. Input file ${inputFilePath} not found, so fallback was impossible.`,
+                    engine: this.engine.name,
+                    error: `Compression failed: ${error.message}. Input file ${inputFilePath} not found, so fallback was impossible.`,
                     originalSize: 0, // No original file to size
                     compressedSize: 0,
                     compressionRatio: "0.00",
@@ -158,10 +222,18 @@ class PDFCompressionService {
 
     /**
      * Check if the compression service is properly configured
-     * @returns {boolean} - True if API keys are configured
+     * @returns {boolean} - True if the selected engine can run (e.g. iLovePDF API keys are set)
      */
     isAvailable() {
-        return !!(this.publicKey && this.secretKey);
+        return this.engine.isAvailable();
+    }
+
+    /**
+     * Check if compression is turned on at all
+     * @returns {boolean} - False when PDF_COMPRESSION_ENGINE=none
+     */
+    isEnabled() {
+        return this.engine.name !== 'none';
     }
 }
 
@@ -0,0 +1,68 @@
+// In-memory cache of rendered page previews (POST /api/preview).
+// Previews are keyed by a hash of everything that affects the picture: the single-page project
+// state (including its images), canvas size and the preview settings. Re-previewing a page that
+// hasn't changed is answered from here without touching Chromium. Least recently used previews
+// are dropped once the cache is larger than PREVIEW_CACHE_MB.
+
+import crypto from 'crypto';
+import { config } from 'dotenv';
+
+// Load environment variables
+config();
+
+const MAX_CACHE_MB = parseInt(process.env.PREVIEW_CACHE_MB, 10) || 64;
+
+/**
+ * Hash identifying a preview
+ * @param {object} singlePageState - State from createSinglePageProjectState (images included)
+ * @param {object} settings - Preview settings ({ format, width, quality })
+ * @returns {string} - Hex SHA-256
+ */
+export function hashPreview(singlePageState, settings) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify(settings))
+        .update('\n')
+        .update(JSON.stringify(singlePageState))
+        .digest('hex');
+}
+
+export class PreviewCache {
+    constructor(maxBytes = MAX_CACHE_MB * 1024 * 1024) {
+        this.maxBytes = maxBytes;
+        this.entries = new Map(); // hash -> { body, contentType }, least recently used first
+        this.totalBytes = 0;
+    }
+
+    get(hash) {
+        const entry = this.entries.get(hash);
+        if (entry) {
+            // Move to the most recently used end
+            this.entries.delete(hash);
+            this.entries.set(hash, entry);
+        }
+        return entry || null;
+    }
+
+    set(hash, entry) {
+        if (entry.body.length > this.maxBytes) {
+            return;
+        }
+        this.delete(hash);
+        this.entries.set(hash, entry);
+        this.totalBytes += entry.body.length;
+        for (const [oldestHash] of this.entries) {
+            if (this.totalBytes <= this.maxBytes) {
+                break;
+            }
+            this.delete(oldestHash);
+        }
+    }
+
+    delete(hash) {
+        const entry = this.entries.get(hash);
+        if (entry) {
+            this.entries.delete(hash);
+            this.totalBytes -= entry.body.length;
+        }
+    }
+}
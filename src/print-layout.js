@@ -0,0 +1,237 @@
+// Print layout for print-on-demand exports.
+// Places each rendered page on a trim + bleed sized sheet, sets TrimBox/BleedBox
+// and optionally draws crop marks in the slug area around the bleed.
+// Pages stay RGB; the document gets an output intent naming the CMYK printing condition the
+// print shop should convert to (with the ICC profile from PRINT_ICC_PROFILE embedded when set).
+// It is not a conforming PDF/X file: there is no GTS_PDFXVersion and the pages are not CMYK.
+
+import fs from 'fs-extra';
+import { config } from 'dotenv';
+import { rgb, pushGraphicsState, popGraphicsState, rectangle, clip, endPath, PDFName, PDFString } from 'pdf-lib';
+
+// Load environment variables
+config();
+
+const POINTS_PER_INCH = 72;
+
+// Common trim sizes in inches
+export const TRIM_SIZES = {
+    'us-comic': { width: 6.625, height: 10.25 },
+    'manga': { width: 5, height: 7.5 },
+    'graphic-novel': { width: 6, height: 9 },
+    'a4': { width: 8.27, height: 11.69 },
+    'a5': { width: 5.83, height: 8.27 },
+    'letter': { width: 8.5, height: 11 }
+};
+
+// CMYK printing conditions for the output intent, by their ICC registry identifiers
+export const OUTPUT_CONDITIONS = {
+    'fogra39': { identifier: 'FOGRA39', info: 'Coated FOGRA39 (ISO 12647-2:2004)' },
+    'swop': { identifier: 'CGATS TR 001', info: 'SWOP (Publication) Grade 1 Paper' },
+    'gracol': { identifier: 'CGATS TR 006', info: 'GRACoL 2006 Coated #1' }
+};
+
+const DEFAULT_OUTPUT_CONDITION = 'fogra39';
+const DEFAULT_BLEED_INCHES = 0.125;
+const DEFAULT_MIN_DPI = 300;
+
+// Contents of PRINT_ICC_PROFILE, read and checked at startup by loadOutputProfile()
+let outputProfile = null;
+
+// Crop marks sit outside the bleed so they never print on the trimmed page
+const CROP_MARK_OFFSET = 6; // points between bleed edge and start of mark
+const CROP_MARK_LENGTH = 18; // points
+const CROP_MARK_THICKNESS = 0.25; // points
+const SLUG_PADDING = 6; // points beyond the end of the marks
+
+/**
+ * Validate and fill in defaults for the `print` export options
+ * @param {object} options - { trimSize: name or { width, height } in inches, bleed, cropMarks, minDpi, outputCondition }
+ * @returns {object} - { trimWidth, trimHeight, bleed, cropMarks, minDpi, outputCondition } (inches / dpi)
+ */
+export function resolvePrintOptions(options = {}) {
+    const trimSize = options.trimSize || 'us-comic';
+    const trim = typeof trimSize === 'string' ? TRIM_SIZES[trimSize] : trimSize;
+
+    if (!trim || !(trim.width > 0) || !(trim.height > 0)) {
+        throw new Error(`Invalid print trimSize. Use one of ${Object.keys(TRIM_SIZES).join(', ')} or { width, height } in inches`);
+    }
+
+    const bleed = options.bleed !== undefined ? Number(options.bleed) : DEFAULT_BLEED_INCHES;
+    if (!(bleed >= 0) || bleed > 1) {
+        throw new Error('Invalid print bleed. Expected a value in inches between 0 and 1');
+    }
+
+    const minDpi = options.minDpi !== undefined ? Number(options.minDpi) : DEFAULT_MIN_DPI;
+    if (!(minDpi > 0)) {
+        throw new Error('Invalid print minDpi. Expected a positive number');
+    }
+
+    const outputCondition = options.outputCondition || DEFAULT_OUTPUT_CONDITION;
+    if (!OUTPUT_CONDITIONS[outputCondition]) {
+        throw new Error(`Invalid print outputCondition. Use one of ${Object.keys(OUTPUT_CONDITIONS).join(', ')}`);
+    }
+
+    return {
+        trimWidth: Number(trim.width),
+        trimHeight: Number(trim.height),
+        bleed,
+        cropMarks: options.cropMarks !== undefined ? !!options.cropMarks : true,
+        minDpi,
+        outputCondition
+    };
+}
+
+/**
+ * Work out where a rendered page goes on the print sheet.
+ * The artwork is scaled to cover the whole bleed box, keeping its aspect ratio.
+ * @param {object} printOptions - Result of resolvePrintOptions()
+ * @param {number} sourceWidth - Rendered page width (points)
+ * @param {number} sourceHeight - Rendered page height (points)
+ * @returns {object} - Sheet size, boxes and artwork placement, all in points
+ */
+export function computePrintLayout(printOptions, sourceWidth, sourceHeight) {
+    const trimWidth = printOptions.trimWidth * POINTS_PER_INCH;
+    const trimHeight = printOptions.trimHeight * POINTS_PER_INCH;
+    const bleed = printOptions.bleed * POINTS_PER_INCH;
+    const slug = printOptions.cropMarks ? bleed + CROP_MARK_OFFSET + CROP_MARK_LENGTH + SLUG_PADDING : bleed;
+
+    const trimBox = { x: slug, y: slug, width: trimWidth, height: trimHeight };
+    const bleedBox = {
+        x: slug - bleed,
+        y: slug - bleed,
+        width: trimWidth + (bleed * 2),
+        height: trimHeight + (bleed * 2)
+    };
+
+    const artScale = Math.max(bleedBox.width / sourceWidth, bleedBox.height / sourceHeight);
+    const artWidth = sourceWidth * artScale;
+    const artHeight = sourceHeight * artScale;
+
+    return {
+        pageWidth: trimWidth + (slug * 2),
+        pageHeight: trimHeight + (slug * 2),
+        trimBox,
+        bleedBox,
+        bleed,
+        artScale,
+        art: {
+            x: bleedBox.x + ((bleedBox.width - artWidth) / 2),
+            y: bleedBox.y + ((bleedBox.height - artHeight) / 2),
+            width: artWidth,
+            height: artHeight
+        },
+        // Share of the artwork cut off because the canvas and bleed box aspect ratios differ
+        croppedFraction: 1 - ((bleedBox.width * bleedBox.height) / (artWidth * artHeight)),
+        cropMarks: printOptions.cropMarks
+    };
+}
+
+function drawCropMarks(page, layout) {
+    const { trimBox, bleed } = layout;
+    const start = bleed + CROP_MARK_OFFSET;
+    const end = start + CROP_MARK_LENGTH;
+    const lineOptions = { thickness: CROP_MARK_THICKNESS, color: rgb(0, 0, 0) };
+
+    const corners = [
+        { x: trimBox.x, y: trimBox.y, dx: -1, dy: -1 },
+        { x: trimBox.x + trimBox.width, y: trimBox.y, dx: 1, dy: -1 },
+        { x: trimBox.x, y: trimBox.y + trimBox.height, dx: -1, dy: 1 },
+        { x: trimBox.x + trimBox.width, y: trimBox.y + trimBox.height, dx: 1, dy: 1 }
+    ];
+
+    corners.forEach(({ x, y, dx, dy }) => {
+        // Horizontal mark in line with the top/bottom trim edge
+        page.drawLine({ start: { x: x + (dx * start), y }, end: { x: x + (dx * end), y }, ...lineOptions });
+        // Vertical mark in line with the left/right trim edge
+        page.drawLine({ start: { x, y: y + (dy * start) }, end: { x, y: y + (dy * end) }, ...lineOptions });
+    });
+}
+
+/**
+ * Add a print sheet for one rendered page to the merged document
+ * @param {import('pdf-lib').PDFDocument} mergedPdf - Document being assembled
+ * @param {import('pdf-lib').PDFEmbeddedPage} embeddedPage - Rendered page embedded into mergedPdf
+ * @param {object} layout - Result of computePrintLayout()
+ */
+export function addPrintPage(mergedPdf, embeddedPage, layout) {
+    const { bleedBox, trimBox, art } = layout;
+    const page = mergedPdf.addPage([layout.pageWidth, layout.pageHeight]);
+
+    // Clip the artwork to the bleed box so overflow doesn't spill into the slug
+    page.pushOperators(
+        pushGraphicsState(),
+        rectangle(bleedBox.x, bleedBox.y, bleedBox.width, bleedBox.height),
+        clip(),
+        endPath()
+    );
+    page.drawPage(embeddedPage, art);
+    page.pushOperators(popGraphicsState());
+
+    page.setBleedBox(bleedBox.x, bleedBox.y, bleedBox.width, bleedBox.height);
+    page.setTrimBox(trimBox.x, trimBox.y, trimBox.width, trimBox.height);
+
+    if (layout.cropMarks) {
+        drawCropMarks(page, layout);
+    }
+    return page;
+}
+
+/**
+ * Printing condition of a print export (jobs saved before outputCondition existed get the default)
+ * @param {object} printOptions - Result of resolvePrintOptions()
+ * @returns {{ identifier: string, info: string }}
+ */
+export function getOutputCondition(printOptions) {
+    return OUTPUT_CONDITIONS[printOptions.outputCondition] || OUTPUT_CONDITIONS[DEFAULT_OUTPUT_CONDITION];
+}
+
+/**
+ * Read and check PRINT_ICC_PROFILE, so a bad path stops the service at startup rather than
+ * failing print jobs after all their pages have rendered
+ * @throws {Error} - If the file can't be read or isn't a CMYK ICC profile
+ */
+export async function loadOutputProfile() {
+    const profilePath = process.env.PRINT_ICC_PROFILE;
+    if (!profilePath) {
+        return;
+    }
+    let profile;
+    try {
+        profile = await fs.readFile(profilePath);
+    } catch (error) {
+        throw new Error(`PRINT_ICC_PROFILE ${profilePath} can't be read: ${error.message}`);
+    }
+    // ICC header: data colour space at byte 16, 'acsp' signature at byte 36
+    if (profile.length < 128 || profile.toString('latin1', 36, 40) !== 'acsp') {
+        throw new Error(`PRINT_ICC_PROFILE ${profilePath} is not an ICC profile`);
+    }
+    const colorSpace = profile.toString('latin1', 16, 20);
+    if (colorSpace !== 'CMYK') {
+        throw new Error(`PRINT_ICC_PROFILE ${profilePath} is for the ${colorSpace.trim()} colour space, not CMYK`);
+    }
+    outputProfile = profile;
+}
+
+/**
+ * Declare the CMYK printing condition the RGB pages are meant for (output intent)
+ * @param {import('pdf-lib').PDFDocument} mergedPdf - Document being assembled
+ * @param {object} printOptions - Result of resolvePrintOptions()
+ */
+export function addOutputIntent(mergedPdf, printOptions) {
+    const { identifier, info } = getOutputCondition(printOptions);
+    const { context } = mergedPdf;
+    const outputIntent = {
+        Type: 'OutputIntent',
+        S: 'GTS_PDFX',
+        OutputCondition: PDFString.of(info),
+        OutputConditionIdentifier: PDFString.of(identifier),
+        RegistryName: PDFString.of('http://www.color.org'),
+        Info: PDFString.of(info)
+    };
+    // A registered condition is enough for most print shops; embed the profile when one is configured
+    if (outputProfile) {
+        outputIntent.DestOutputProfile = context.register(context.flateStream(outputProfile, { N: 4 }));
+    }
+    mergedPdf.catalog.set(PDFName.of('OutputIntents'), context.obj([context.obj(outputIntent)]));
+}
@@ -0,0 +1,144 @@
+// Live progress stream for export jobs.
+// Pushes job snapshots over Server-Sent Events (GET /api/export-events/:jobId)
+// or a WebSocket on the same path, so the frontend doesn't have to poll.
+
+import { EventEmitter } from 'events';
+import { WebSocketServer } from 'ws';
+import { logger } from './logger.js';
+
+// Emits 'update' with a jobId whenever that job's progress may have changed
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per connected client
+
+// Statuses after which no more updates will be sent
+const TERMINAL_STATUSES = ['complete', 'error', 'cancelled'];
+
+// Send a comment line this often so proxies don't close an idle stream
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+const EVENTS_PATH_PATTERN = /^\/api\/export-events\/([^/?]+)/;
+
+/**
+ * Subscribe to progress snapshots for one job
+ * @param {string} jobId - Job to follow
+ * @param {function} getJobProgress - Returns the public snapshot for a jobId (or null)
+ * @param {function} send - Called with each snapshot; snapshots that didn't change are skipped
+ * @returns {function} - Unsubscribe
+ */
+function subscribe(jobId, getJobProgress, send) {
+    let lastPayload = null;
+    const onUpdate = (updatedJobId) => {
+        if (updatedJobId !== jobId) {
+            return;
+        }
+        const progress = getJobProgress(jobId);
+        if (!progress) {
+            return;
+        }
+        const payload = JSON.stringify(progress);
+        if (payload !== lastPayload) {
+            lastPayload = payload;
+            send(progress, payload);
+        }
+    };
+    jobEvents.on('update', onUpdate);
+    return () => jobEvents.off('update', onUpdate);
+}
+
+/**
+ * Register the SSE endpoint on the API router
+ * @param {import('express').Router} router - API router (mounted at /api)
+ * @param {function} getJobProgress - Returns the public snapshot for a jobId (or null)
+ * @param {function} authorizeJob - Called with (req, jobId); false answers 403
+ */
+export function configureProgressEvents(router, getJobProgress, authorizeJob) {
+    router.get('/export-events/:jobId', (req, res) => {
+        const jobId = req.params.jobId;
+        const initial = getJobProgress(jobId);
+
+        if (!initial) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!authorizeJob(req, jobId)) {
+            return res.status(403).json({ error: 'You do not have access to this job' });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+        });
+        logger.info(`[ProgressEvents] SSE client connected for job ${jobId}`);
+
+        let closed = false;
+        let unsubscribe = () => {};
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            res.end();
+        };
+
+        const send = (progress, payload) => {
+            res.write(`event: progress\ndata: ${payload}\n\n`);
+            if (TERMINAL_STATUSES.includes(progress.status)) {
+                close();
+            }
+        };
+
+        unsubscribe = subscribe(jobId, getJobProgress, send);
+        req.on('close', () => {
+            logger.info(`[ProgressEvents] SSE client disconnected for job ${jobId}`);
+            close();
+        });
+
+        // Push the current state straight away
+        jobEvents.emit('update', jobId);
+    });
+}
+
+/**
+ * Accept WebSocket connections on /api/export-events/:jobId
+ * @param {import('http').Server} server - HTTP server returned by app.listen
+ * @param {function} getJobProgress - Returns the public snapshot for a jobId (or null)
+ * @param {function} authorizeJob - Called with the upgrade request and jobId; false refuses the connection
+ */
+export function attachProgressWebSocket(server, getJobProgress, authorizeJob) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+        const match = EVENTS_PATH_PATTERN.exec(req.url);
+        if (!match || !getJobProgress(match[1])) {
+            socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        if (!authorizeJob(req, match[1])) {
+            socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            const jobId = match[1];
+            logger.info(`[ProgressEvents] WebSocket client connected for job ${jobId}`);
+
+            const unsubscribe = subscribe(jobId, getJobProgress, (progress) => {
+                ws.send(JSON.stringify({ type: 'progress', job: progress }));
+                if (TERMINAL_STATUSES.includes(progress.status)) {
+                    ws.close(1000, progress.status);
+                }
+            });
+            ws.on('close', () => {
+                logger.info(`[ProgressEvents] WebSocket client disconnected for job ${jobId}`);
+                unsubscribe();
+            });
+
+            jobEvents.emit('update', jobId);
+        });
+    });
+}
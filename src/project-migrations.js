@@ -0,0 +1,104 @@
+// Project state migrations.
+// The creator saves a `version` with every project. States from older versions are upgraded here,
+// one step at a time, before they are validated and rendered, so the rest of the service only
+// ever sees the current shape. A project without a version predates versioning and counts as 0.
+// Versions this service doesn't recognise (newer ones, or another format such as "1.2.0") are
+// refused with a ProjectVersionError rather than rendered wrongly.
+// To change the shape: bump CURRENT_PROJECT_VERSION, add the step that upgrades the previous
+// version to MIGRATIONS, and update project-schema.js to match.
+
+export const CURRENT_PROJECT_VERSION = 1;
+
+// Canvas size the renderer assumed when a state had none
+const LEGACY_CANVAS_SIZE = 700;
+
+export class ProjectVersionError extends Error {
+    constructor(message, version) {
+        super(message);
+        this.name = 'ProjectVersionError';
+        this.statusCode = 400;
+        this.version = version;
+    }
+}
+
+/**
+ * Upgrade steps, in order. Each one takes a state at `from` and returns it at `from + 1`.
+ * Steps get a shallow copy of the submitted state: they may set its top-level fields, but must
+ * copy nested objects before changing them. States that are malformed in ways the step doesn't
+ * care about are passed on for validation to report.
+ */
+const MIGRATIONS = [
+    {
+        from: 0,
+        description: 'Unversioned state: fill in images and canvas size, which the renderer used to default itself',
+        migrate(state) {
+            if (state.images === undefined) {
+                state.images = [];
+            }
+            if (state.canvasWidth === undefined) {
+                state.canvasWidth = LEGACY_CANVAS_SIZE;
+            }
+            if (state.canvasHeight === undefined) {
+                state.canvasHeight = LEGACY_CANVAS_SIZE;
+            }
+            return state;
+        }
+    }
+];
+
+/**
+ * Read a project state's version
+ * @param {object} projectState - Submitted project state
+ * @returns {number} - Version (0 when the state has none)
+ * @throws {ProjectVersionError} - If it isn't a whole number
+ */
+export function getProjectVersion(projectState) {
+    const { version } = projectState;
+    if (version === undefined || version === null) {
+        return 0;
+    }
+    // Saved as a number or a numeric string ("1", "1.0")
+    const number = typeof version === 'string' && version.trim() !== '' ? Number(version) : version;
+    if (typeof number !== 'number' || !Number.isInteger(number) || number < 0) {
+        throw new ProjectVersionError(`Unrecognised project version "${version}"`, version);
+    }
+    return number;
+}
+
+/**
+ * Bring a project state up to CURRENT_PROJECT_VERSION
+ * @param {object} projectState - Submitted project state (left unchanged)
+ * @returns {{ projectState: object, fromVersion: number|null, applied: string[] }} - The upgraded copy
+ *   (or the submitted state when there was nothing to do), the version it was submitted with, and
+ *   the descriptions of the steps applied
+ * @throws {ProjectVersionError} - If the version is unrecognised or newer than this server knows
+ */
+export function migrateProjectState(projectState) {
+    // Not an object at all: nothing to upgrade, validation reports it
+    if (!projectState || typeof projectState !== 'object' || Array.isArray(projectState)) {
+        return { projectState, fromVersion: null, applied: [] };
+    }
+
+    const fromVersion = getProjectVersion(projectState);
+    if (fromVersion > CURRENT_PROJECT_VERSION) {
+        throw new ProjectVersionError(
+            `Project version ${fromVersion} is newer than this export service supports (up to ${CURRENT_PROJECT_VERSION}). The service needs updating before it can export this project.`,
+            projectState.version
+        );
+    }
+
+    let state = projectState;
+    const applied = [];
+    for (let version = fromVersion; version < CURRENT_PROJECT_VERSION; version++) {
+        const step = MIGRATIONS.find(migration => migration.from === version);
+        if (!step) {
+            // A gap in MIGRATIONS is a bug here, not a problem with the request
+            throw new Error(`No migration from project version ${version}`);
+        }
+        // The submitted state keeps its own version and fields
+        state = step.migrate(state === projectState ? { ...projectState } : state);
+        state.version = version + 1;
+        applied.push(step.description);
+    }
+    return { projectState: state, fromVersion, applied };
+}
@@ -0,0 +1,162 @@
+// Validation of submitted project states.
+// The schema below (JSON Schema, draft 2020-12) describes the parts of a project state the
+// renderer depends on; anything else the creator saves is passed through untouched. Requests are
+// checked against it when they are submitted, so a malformed page fails with a 400 naming the
+// problem (as a JSON pointer such as /pages/3/panelStates/0/imageId) instead of inside Chromium
+// minutes later. Image references that point at no entry in images[] are reported too.
+// Bump PROJECT_SCHEMA_VERSION whenever the schema changes; clients can fetch the current one
+// from GET /api/project-schema.
+
+export const PROJECT_SCHEMA_VERSION = 1;
+
+// Most problems reported for one request
+const MAX_ERRORS = 50;
+
+const imageId = { type: ['string', 'number', 'null'] };
+const canvasSize = { type: 'number', exclusiveMinimum: 0 };
+
+export const projectStateSchema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `comic-pro/project-state/v${PROJECT_SCHEMA_VERSION}`,
+    title: 'Comic-Pro project state',
+    type: 'object',
+    required: ['pages', 'images'],
+    properties: {
+        version: { type: ['string', 'number'] },
+        canvasWidth: canvasSize,
+        canvasHeight: canvasSize,
+        pages: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: {
+                    panelStates: {
+                        type: 'array',
+                        items: { type: 'object', properties: { imageId } }
+                    },
+                    backgroundState: {
+                        type: ['object', 'null'],
+                        properties: { imageId }
+                    },
+                    stickerStates: {
+                        type: 'array',
+                        items: { type: 'object', properties: { imageId } }
+                    }
+                }
+            }
+        },
+        images: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id'],
+                properties: { id: { type: ['string', 'number'] } }
+            }
+        }
+    }
+};
+
+// RFC 6901: "~" and "/" in a key are escaped
+function pointerTo(parentPointer, key) {
+    return `${parentPointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    }
+    if (type === 'number') {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+    return typeOf(value) === type;
+}
+
+/**
+ * Check a value against the subset of JSON Schema used above
+ * (type, required, properties, items, minItems, exclusiveMinimum)
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema for it
+ * @param {string} pointer - JSON pointer to the value
+ * @param {object[]} errors - Problems found are appended here as { path, message }
+ */
+function validateValue(value, schema, pointer, errors) {
+    if (errors.length >= MAX_ERRORS) {
+        return;
+    }
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        errors.push({ path: pointer, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+        return;
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined) {
+                errors.push({ path: pointerTo(pointer, name), message: 'is required' });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+            if (value[name] !== undefined) {
+                validateValue(value[name], propertySchema, pointerTo(pointer, name), errors);
+            }
+        });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: pointer, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateValue(item, schema.items, pointerTo(pointer, index), errors));
+        }
+    }
+
+    if (typeof value === 'number' && schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        errors.push({ path: pointer, message: `must be greater than ${schema.exclusiveMinimum}` });
+    }
+}
+
+// Every imageId used by panels, backgrounds and stickers must name an entry in images[]
+// (createSinglePageProjectState would otherwise drop it and the page would render without it)
+function findDanglingImageReferences(projectState, errors) {
+    const imageIds = new Set(projectState.images.map(image => image.id));
+    const check = (id, pointer) => {
+        if (errors.length < MAX_ERRORS && id !== null && id !== undefined && id !== '' && !imageIds.has(id)) {
+            errors.push({ path: pointer, message: `references image "${id}", which is not in /images` });
+        }
+    };
+    projectState.pages.forEach((page, pageIndex) => {
+        const pagePointer = pointerTo('/pages', pageIndex);
+        (page.panelStates || []).forEach((panel, index) => check(panel.imageId, `${pagePointer}/panelStates/${index}/imageId`));
+        if (page.backgroundState) {
+            check(page.backgroundState.imageId, `${pagePointer}/backgroundState/imageId`);
+        }
+        (page.stickerStates || []).forEach((sticker, index) => check(sticker.imageId, `${pagePointer}/stickerStates/${index}/imageId`));
+    });
+}
+
+/**
+ * Validate a submitted project state
+ * @param {*} projectState - Request body
+ * @returns {{ path: string, message: string }[]} - Problems found (JSON pointers; empty if valid)
+ */
+export function validateProjectState(projectState) {
+    const errors = [];
+    validateValue(projectState, projectStateSchema, '', errors);
+    // References can only be followed once the structure is sound
+    if (errors.length === 0) {
+        findDanglingImageReferences(projectState, errors);
+    }
+    return errors;
+}
@@ -1,100 +1,426 @@
 // This file will contain the Puppeteer logic for PDF export. 
 
-import puppeteer from 'puppeteer';
+import { DEFAULT_VIEWPORT } from './browser-pool.js';
+import { capturePageAsImage } from './page-renderer.js'; // Renders one page in this process
+import renderWorkerPool from './render-worker-pool.js'; // Renders pages in child processes
 import fs from 'fs-extra';
 import path from 'path';
 import { PDFDocument } from 'pdf-lib'; // Added for PDF merging
 import { v4 as uuidv4 } from 'uuid'; // For generating unique job IDs
 import pdfCompressionService from './pdf-compression.js'; // Import compression service
+import { createJobStore } from './job-store.js'; // Persists jobs across restarts
+import { resolvePrintOptions, computePrintLayout, addPrintPage, addOutputIntent, getOutputCondition, loadOutputProfile } from './print-layout.js'; // Print-on-demand sheets
+import { jobEvents, configureProgressEvents } from './progress-events.js'; // SSE/WebSocket progress stream
+import { EXPORT_FORMATS, IMAGE_FORMATS, packageCbz, packageEpub, packageImagesZip } from './export-formats.js'; // CBZ/EPUB/ZIP output
+import { canAccessJob, isAdmin, signDownloadPath } from './auth.js'; // Job ownership checks
+import { UsageQuotas } from './usage-quotas.js'; // Per-user daily limits
+import { ExportQueue, EXPORT_PRIORITIES, SMALL_JOB_PAGES } from './export-queue.js'; // Priority/fair-share scheduling
+import { AssetStore, collectAssetReferences, resolveAssetReferences, configureAssetRoutes } from './asset-store.js'; // Uploaded images, by hash
+import { ExportSessions, configureExportSessions } from './export-sessions.js'; // Chunked upload flow
+import { validateCallbackUrl, deliverWebhook, DOWNLOAD_URL_EXPIRES } from './webhooks.js'; // callbackUrl notifications
+import { createExportStorage, LocalExportStorage, PRESIGNED_URL_EXPIRES } from './export-storage.js'; // Local disk or S3-compatible storage
+import { pageRenderSeconds, mergeSeconds, compressionSeconds, compressionRatio, jobDurationSeconds, jobsFinishedTotal, rejectedRequestsTotal, previewsTotal, pageCacheTotal, Gauge } from './metrics.js'; // Prometheus /metrics
+import { RETENTION_MS, CLEANUP_INTERVAL_MS, MAX_DISK_BYTES, isExpired, getDirectorySize, findOrphanDirectories, getFilesystemUsage } from './retention.js'; // Cleanup policies
+import { logger, runWithLogContext, setLogContext } from './logger.js'; // Levels, JSON output, job context
+import { validateProjectState, projectStateSchema } from './project-schema.js'; // Submit-time validation
+import { migrateProjectState, ProjectVersionError, CURRENT_PROJECT_VERSION } from './project-migrations.js'; // Older saves upgraded
+import { PreviewCache, hashPreview } from './preview-cache.js'; // Rendered previews, by page content
+import { RenderCache, hashRenderedPage, RENDER_CACHE_VERSION } from './render-cache.js'; // Rendered export pages, by page content
 import { config } from 'dotenv';
 
 // Load environment variables
 config();
 
 // Log environment variables status (without exposing the actual values)
-console.log('[PuppeteerExport] Environment check:');
-console.log('[PuppeteerExport] ILOVEPDF_PUBLIC_KEY exists:', !!process.env.ILOVEPDF_PUBLIC_KEY);
-console.log('[PuppeteerExport] ILOVEPDF_SECRET_KEY exists:', !!process.env.ILOVEPDF_SECRET_KEY);
-
-// In-memory store for export job statuses
+logger.info('[PuppeteerExport] Environment check:');
+logger.info('[PuppeteerExport] ILOVEPDF_PUBLIC_KEY exists:', !!process.env.ILOVEPDF_PUBLIC_KEY);
+logger.info('[PuppeteerExport] ILOVEPDF_SECRET_KEY exists:', !!process.env.ILOVEPDF_SECRET_KEY);
+
+// Capacity settings (defaults suit a 1GB droplet; raise them on bigger machines)
+// Exports rendered at the same time
+const MAX_CONCURRENT_EXPORTS = parseInt(process.env.EXPORT_CONCURRENCY, 10) || 1;
+// Exports allowed to wait in the queue before new requests are turned away
+const MAX_QUEUED_EXPORTS = parseInt(process.env.EXPORT_MAX_QUEUE, 10) || 3;
+// Refuse new exports outright while the process RSS is above this (MB)
+const REJECT_MEMORY_MB = parseInt(process.env.EXPORT_REJECT_MEMORY_MB, 10) || 800;
+// Total memory (RSS + estimate) an export may bring the process to (MB)
+const EXPORT_MEMORY_LIMIT_MB = parseInt(process.env.EXPORT_MEMORY_LIMIT_MB, 10) || 750;
+// Largest single page raster we accept (MB); higher dpi/scale requests are rejected up front
+const MAX_PAGE_RASTER_MB = parseInt(process.env.EXPORT_MAX_PAGE_RASTER_MB, 10) || 300;
+// Previews (POST /api/preview) rendering at once; more get a 503 rather than waiting
+const PREVIEW_MAX_CONCURRENT = parseInt(process.env.PREVIEW_MAX_CONCURRENT, 10) || 2;
+// Preview widths in pixels: default and largest allowed
+const PREVIEW_DEFAULT_WIDTH = 400;
+const PREVIEW_MAX_WIDTH = parseInt(process.env.PREVIEW_MAX_WIDTH, 10) || 1200;
+// A preview taking longer than this is abandoned (ms)
+const PREVIEW_TIMEOUT_MS = parseInt(process.env.PREVIEW_TIMEOUT_MS, 10) || 60000;
+// Previews render in scratch directories under here, deleted when the render ends
+const PREVIEWS_DIR = 'previews';
+
+// 'inline' renders in this process; 'worker' renders in child processes so a crashing
+// Chromium can't take down the Express server
+const RENDER_MODE = process.env.RENDER_MODE === 'worker' ? 'worker' : 'inline';
+
+// In-memory view of export job statuses, backed by the persistent job store
 const exportJobs = {};
+let jobStore = null; // Set up in configurePuppeteerExport
+let usageQuotas = null; // Set up in configurePuppeteerExport
+let assetStore = null; // Set up in configurePuppeteerExport
+let renderCache = null; // Set up in configurePuppeteerExport; pages reused by later exports
+let exportStorage = null; // Set up in configurePuppeteerExport; where finished exports are kept
+const localExportStorage = new LocalExportStorage(); // Serves jobs finished before EXPORT_STORAGE changed
+let outputDirectory = null; // Set up in configurePuppeteerExport
+let rendererInfo = { source: 'remote', version: null }; // Set up in configurePuppeteerExport; recorded on every job
+let cleanupInProgress = null; // Promise of the running cleanup pass
+let lastCleanup = null; // Summary of the last cleanup pass, for the admin report
+let jobsRestored = false; // Until then every job directory would look orphaned
+const exportSessions = new ExportSessions();
+
+const previewCache = new PreviewCache();
+const pendingPreviews = new Map(); // Preview hash -> Promise of the render in progress
+
+// Partial uploads nobody has continued for this long are deleted
+const STALE_UPLOAD_MS = 24 * 60 * 60 * 1000;
 
 // REQUEST QUEUE FOR MEMORY MANAGEMENT
-class ExportQueue {
-    constructor() {
-        this.queue = [];
-        this.processing = false;
-        this.maxConcurrent = 1; // Only 1 export at a time for 1GB memory
-    }
-
-    async add(jobFunction) {
-        return new Promise((resolve, reject) => {
-            this.queue.push({
-                execute: jobFunction,
-                resolve,
-                reject
-            });
-            this.processNext();
+// Priority and fair-share ordering; running jobs may pause between pages for smaller or more urgent ones
+const exportQueue = new ExportQueue(MAX_CONCURRENT_EXPORTS);
+
+// One AbortController per queued or running job, aborted when the job is cancelled
+const jobControllers = new Map();
+
+// Queued jobs move up (and their ETA changes) whenever the queue changes
+exportQueue.on('change', () => notifyQueuedJobs());
+// A job paused between pages shows as queued (with a live position) until it gets its slot back
+exportQueue.on('pause', jobId => updateJob(jobId, { status: 'queued' }));
+exportQueue.on('resume', jobId => updateJob(jobId, { status: 'processing' }));
+
+// Current job and queue state, computed on every /metrics scrape
+new Gauge('comic_export_jobs', 'Jobs known to the server, by status', () => {
+    const counts = {};
+    Object.values(exportJobs).forEach(job => {
+        counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+    return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
+new Gauge('comic_export_queue_depth', 'Jobs waiting to start (EXPORT_MAX_QUEUE applies to this)', () => [{ value: exportQueue.getQueueLength() }]);
+new Gauge('comic_export_running_jobs', 'Jobs holding a render slot', () => [{ value: exportQueue.running }]);
+new Gauge('comic_export_max_concurrent_jobs', 'Render slots (EXPORT_CONCURRENCY)', () => [{ value: MAX_CONCURRENT_EXPORTS }]);
+
+// Rolling average of page render time across all jobs, used for ETAs until a job has its own measurements
+const renderStats = {
+    averagePageMs: 15000, // Rough first guess for a cold start
+    samples: 0
+};
+
+// Delete expired jobs and keep job directories under EXPORT_MAX_DISK_MB (see retention.js)
+setInterval(() => {
+    runCleanup().catch(err => logger.error('[JobCleanup] Cleanup failed:', err));
+}, CLEANUP_INTERVAL_MS);
+
+// Supported values for the outputMode export option
+const OUTPUT_MODES = ['raster', 'vector'];
+
+// Supported values for the preset export option
+const PRESETS = ['standard', 'print'];
+
+// Default raster resolution (device pixels per canvas pixel)
+const DEFAULT_DEVICE_SCALE_FACTOR = 2;
+
+// Accepted ranges for the dpi and scale export options
+const MIN_DPI = 36;
+const MAX_DPI = 1200;
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 16;
+
+// A raster page is held in memory several times while it is captured and embedded
+// (screenshot buffer, decoded pixels in pdf-lib, encoded stream), so budget 3 x RGBA per pixel
+const RASTER_BYTES_PER_PIXEL = 12;
+// Room around the canvas so the creator app's own layout doesn't clip it
+const VIEWPORT_PADDING = 100;
+
+// Parse an optional numeric option, throwing when it is present but out of range
+function parseRangeOption(options, name, min, max) {
+    if (options[name] === undefined || options[name] === null || options[name] === '') {
+        return null;
+    }
+    const value = Number(options[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`Invalid ${name} "${options[name]}". Expected a number between ${min} and ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Parse the pageRange / pageIndices export options into the pages to render
+ * @param {object} options - Export options; pageRange is 1-based ("1-5,8,10-12"), pageIndices is 0-based ([0, 1, 7])
+ * @param {number} pageCount - Number of pages in the project
+ * @returns {number[]|null} - Sorted, unique 0-based page indices, or null for every page
+ */
+function parsePageSelection(options, pageCount) {
+    const hasRange = options.pageRange !== undefined && options.pageRange !== null && options.pageRange !== '';
+    const hasIndices = options.pageIndices !== undefined && options.pageIndices !== null;
+    if (hasRange && hasIndices) {
+        throw new Error('Set either pageRange or pageIndices, not both');
+    }
+    if (!hasRange && !hasIndices) {
+        return null;
+    }
+
+    const indices = new Set();
+    if (hasRange) {
+        if (typeof options.pageRange !== 'string') {
+            throw new Error('Invalid pageRange. Expected a string like "1-5,8,10-12"');
+        }
+        options.pageRange.split(',').forEach(part => {
+            const match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(part);
+            if (!match) {
+                throw new Error(`Invalid pageRange part "${part.trim()}". Expected a page number or a range like "10-12"`);
+            }
+            const first = parseInt(match[1], 10);
+            const last = match[2] !== undefined ? parseInt(match[2], 10) : first;
+            if (first < 1 || last > pageCount || first > last) {
+                throw new Error(`Invalid pageRange part "${part.trim()}". Pages run from 1 to ${pageCount}`);
+            }
+            for (let page = first; page <= last; page++) {
+                indices.add(page - 1);
+            }
+        });
+    } else {
+        if (!Array.isArray(options.pageIndices) || options.pageIndices.length === 0) {
+            throw new Error('Invalid pageIndices. Expected a non-empty array of 0-based page indices');
+        }
+        options.pageIndices.forEach(index => {
+            if (!Number.isInteger(index) || index < 0 || index >= pageCount) {
+                throw new Error(`Invalid page index ${JSON.stringify(index)}. Expected an integer from 0 to ${pageCount - 1}`);
+            }
+            indices.add(index);
         });
     }
+    return [...indices].sort((a, b) => a - b);
+}
 
-    async processNext() {
-        if (this.processing || this.queue.length === 0) {
-            return;
+// Format 0-based page indices as a 1-based range string, e.g. [0,1,2,7] -> "1-3,8"
+function formatPageRange(pageIndices) {
+    const parts = [];
+    let start = pageIndices[0];
+    for (let i = 1; i <= pageIndices.length; i++) {
+        if (pageIndices[i] !== pageIndices[i - 1] + 1) {
+            const end = pageIndices[i - 1];
+            parts.push(start === end ? `${start + 1}` : `${start + 1}-${end + 1}`);
+            start = pageIndices[i];
         }
+    }
+    return parts.join(',');
+}
 
-        this.processing = true;
-        const job = this.queue.shift();
+// Collect the export options from the request body. The frontend sends them in settings.pdfExport,
+// API clients can send them as exportOptions (which wins when both are present).
+// Throws an Error with a client-facing message when an option is invalid.
+function resolveExportOptions(projectState) {
+    const options = { ...projectState.settings?.pdfExport, ...projectState.exportOptions };
+    const outputMode = options.outputMode || 'raster';
+    const preset = options.preset || 'standard';
 
-        try {
-            console.log(`[ExportQueue] Processing job. Queue length: ${this.queue.length}`);
-            const result = await job.execute();
-            job.resolve(result);
-        } catch (error) {
-            console.error('[ExportQueue] Job failed:', error);
-            job.reject(error);
-        } finally {
-            this.processing = false;
-            // Process next job if any
-            if (this.queue.length > 0) {
-                setImmediate(() => this.processNext());
-            }
+    if (!OUTPUT_MODES.includes(outputMode)) {
+        throw new Error(`Invalid outputMode "${outputMode}". Expected one of: ${OUTPUT_MODES.join(', ')}`);
+    }
+    if (!PRESETS.includes(preset)) {
+        throw new Error(`Invalid preset "${preset}". Expected one of: ${PRESETS.join(', ')}`);
+    }
+
+    const format = projectState.format || options.format || 'pdf';
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Invalid format "${format}". Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    // Output resolution: dpi of the final page, or a scale factor relative to canvas pixels
+    const dpi = parseRangeOption(options, 'dpi', MIN_DPI, MAX_DPI);
+    const scale = parseRangeOption(options, 'scale', MIN_SCALE, MAX_SCALE);
+    if (dpi !== null && scale !== null) {
+        throw new Error('Set either dpi or scale, not both');
+    }
+    if ((dpi !== null || scale !== null) && outputMode !== 'raster') {
+        throw new Error('dpi and scale only apply to outputMode "raster"');
+    }
+
+    // Selected pages (all when neither pageRange nor pageIndices is set)
+    const pageIndices = parsePageSelection(options, projectState.pages.length);
+
+    // Queue priority; preview jumps ahead of everything, so it is kept to small exports
+    const priority = options.priority || 'standard';
+    if (EXPORT_PRIORITIES[priority] === undefined) {
+        throw new Error(`Invalid priority "${priority}". Expected one of: ${Object.keys(EXPORT_PRIORITIES).join(', ')}`);
+    }
+    const pageCount = pageIndices ? pageIndices.length : projectState.pages.length;
+    if (priority === 'preview' && pageCount > SMALL_JOB_PAGES) {
+        throw new Error(`priority "preview" is limited to ${SMALL_JOB_PAGES} pages (this export has ${pageCount}). Use pageRange or priority "standard"`);
+    }
+
+    // Non-PDF formats package the page images directly, so PDF-only options don't apply
+    let imageFormat = null;
+    if (format !== 'pdf') {
+        if (outputMode !== 'raster' || preset !== 'standard') {
+            throw new Error(`Format "${format}" only supports outputMode "raster" and preset "standard"`);
+        }
+        imageFormat = options.imageFormat || (format === 'images' ? 'png' : 'jpeg');
+        if (!IMAGE_FORMATS[imageFormat]) {
+            throw new Error(`Invalid imageFormat "${imageFormat}". Expected one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
         }
     }
 
-    getQueueLength() {
-        return this.queue.length;
+    return {
+        format,
+        outputMode,
+        preset,
+        print: preset === 'print' ? resolvePrintOptions(options.print) : null,
+        imageFormat,
+        dpi,
+        scale,
+        pageIndices, // null means every page
+        pageRange: pageIndices ? formatPageRange(pageIndices) : null, // Normalised, for progress and file names
+        priority,
+        renderCache: options.renderCache !== false, // false renders every page even if an earlier export cached it
+        imageQuality: Math.min(Math.max(parseInt(options.imageQuality, 10) || 90, 1), 100), // jpeg/webp only
+        metadata: options.metadata || {}, // Title, series, writer, ... for CBZ/EPUB
+        // Print masters skip compression by default: compressors downsample and re-encode images
+        shouldCompress: format === 'pdf' && (projectState.shouldCompress !== undefined ? projectState.shouldCompress : preset !== 'print'), // Default to true if not specified
+        compressionLevel: options.compressionLevel || 'recommended'
+    };
+}
+
+/**
+ * Work out how large each page is rendered.
+ * The final PDF page is canvasWidth x canvasHeight points (1/72in), so `dpi: 72` renders one
+ * device pixel per canvas pixel; with the print preset dpi is measured at trim size instead.
+ * Without dpi/scale, print rasters are rendered dense enough for print.minDpi (within budget).
+ * @param {object} exportOptions - Result of resolveExportOptions()
+ * @param {object} projectState - Project state (for canvasWidth/canvasHeight)
+ * @returns {object} - { viewport, deviceScaleFactor, pageDpi, pixelWidth, pixelHeight, estimatedPageMemoryMB, maxDpi, printLayout }
+ */
+function resolveRenderResolution(exportOptions, projectState) {
+    const canvasWidth = projectState.canvasWidth || 700;
+    const canvasHeight = projectState.canvasHeight || 700;
+    const printLayout = exportOptions.print ? computePrintLayout(exportOptions.print, canvasWidth, canvasHeight) : null;
+    // Points on the final page per canvas pixel
+    const artScale = printLayout ? printLayout.artScale : 1;
+
+    // Largest scale factor (in the 0.01 steps used below) whose raster fits MAX_PAGE_RASTER_MB
+    const maxScale = Math.floor(Math.sqrt((MAX_PAGE_RASTER_MB * 1024 * 1024) / (canvasWidth * canvasHeight * RASTER_BYTES_PER_PIXEL)) * 100) / 100;
+
+    let deviceScaleFactor = DEFAULT_DEVICE_SCALE_FACTOR;
+    if (exportOptions.outputMode === 'raster') {
+        if (exportOptions.scale) {
+            deviceScaleFactor = exportOptions.scale;
+        } else if (exportOptions.dpi) {
+            deviceScaleFactor = (exportOptions.dpi * artScale) / 72;
+        } else if (printLayout) {
+            const requiredScale = (exportOptions.print.minDpi * artScale) / 72;
+            deviceScaleFactor = Math.min(Math.max(DEFAULT_DEVICE_SCALE_FACTOR, requiredScale), maxScale);
+        }
+        deviceScaleFactor = Math.ceil(deviceScaleFactor * 100) / 100;
     }
+
+    const pixelWidth = Math.ceil(canvasWidth * deviceScaleFactor);
+    const pixelHeight = Math.ceil(canvasHeight * deviceScaleFactor);
+
+    return {
+        viewport: {
+            width: Math.max(DEFAULT_VIEWPORT.width, Math.ceil(canvasWidth) + VIEWPORT_PADDING),
+            height: Math.max(DEFAULT_VIEWPORT.height, Math.ceil(canvasHeight) + VIEWPORT_PADDING),
+            deviceScaleFactor
+        },
+        deviceScaleFactor,
+        pageDpi: Math.round((deviceScaleFactor * 72) / artScale),
+        pixelWidth,
+        pixelHeight,
+        estimatedPageMemoryMB: exportOptions.outputMode === 'raster'
+            ? Math.ceil((pixelWidth * pixelHeight * RASTER_BYTES_PER_PIXEL) / (1024 * 1024))
+            : 0,
+        maxDpi: Math.floor((maxScale * 72) / artScale),
+        printLayout
+    };
 }
 
-const exportQueue = new ExportQueue();
+/**
+ * Resolve the `preview` settings of a POST /api/preview request
+ * @param {object} options - { pageIndex (0-based), format (png, jpeg, webp), width (pixels), quality }
+ * @param {object} projectState - Project state (for the page count)
+ * @returns {object} - { pageIndex, format, width, quality }
+ */
+function resolvePreviewOptions(options, projectState) {
+    const pageIndex = options.pageIndex ?? 0;
+    if (!Number.isInteger(pageIndex) || pageIndex < 0 || pageIndex >= projectState.pages.length) {
+        throw new Error(`Invalid pageIndex "${pageIndex}". Expected a 0-based page index below ${projectState.pages.length}`);
+    }
+    const format = options.format || 'png';
+    if (!IMAGE_FORMATS[format]) {
+        throw new Error(`Invalid format "${format}". Expected one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+    }
+    return {
+        pageIndex,
+        format,
+        width: Math.round(parseRangeOption(options, 'width', 50, PREVIEW_MAX_WIDTH) ?? PREVIEW_DEFAULT_WIDTH),
+        quality: Math.min(Math.max(parseInt(options.quality, 10) || 80, 1), 100) // jpeg/webp only
+    };
+}
 
-// Function to clean up old jobs (e.g., after a certain time)
-// Simple example: remove jobs older than 1 hour
-setInterval(() => {
-    const now = Date.now();
-    for (const jobId in exportJobs) {
-        if (exportJobs[jobId].status === 'complete' || exportJobs[jobId].status === 'error') {
-            if (now - (exportJobs[jobId].lastUpdated || 0) > 3600000) { // 1 hour
-                console.log(`[JobCleanup] Removing old job: ${jobId}`);
-                if (exportJobs[jobId].jobOutputDir && exportJobs[jobId].status !== 'error') { // Don't delete if error might be needed
-                    fs.remove(exportJobs[jobId].jobOutputDir)
-                        .then(() => console.log(`[JobCleanup] Cleaned up job output directory: ${exportJobs[jobId].jobOutputDir} for job ${jobId}`))
-                        .catch(err => console.error(`[JobCleanup] Error cleaning up job output directory ${exportJobs[jobId].jobOutputDir} for job ${jobId}:`, err));
-                }
-                delete exportJobs[jobId];
+/**
+ * Render a page preview, or wait for the identical one already rendering
+ * @param {string} hash - hashPreview() of the page and settings
+ * @param {object} singlePageState - State from createSinglePageProjectState
+ * @param {object} settings - Result of resolvePreviewOptions()
+ * @param {string} comicCreatorUrl - URL of the comic creator app
+ * @returns {Promise<{ body: Buffer, contentType: string }>}
+ */
+function renderPreview(hash, singlePageState, settings, comicCreatorUrl) {
+    if (pendingPreviews.has(hash)) {
+        return pendingPreviews.get(hash);
+    }
+    const render = (async () => {
+        // Small enough that the canvas comes out settings.width pixels wide
+        const scale = Math.max(Math.floor((settings.width / (singlePageState.canvasWidth || 700)) * 100) / 100, 0.01);
+        const { viewport } = resolveRenderResolution({ outputMode: 'raster', scale }, singlePageState);
+        // Scratch directory for this render: the image, and any error screenshot or DOM dump, go with it
+        const previewDir = path.join(outputDirectory, PREVIEWS_DIR, `${hash}-${uuidv4()}`);
+        const previewPath = path.join(previewDir, `preview.${IMAGE_FORMATS[settings.format].extension}`);
+        // Not tied to the request: a client that gives up still leaves the preview in the cache
+        const signal = AbortSignal.timeout(PREVIEW_TIMEOUT_MS);
+        await fs.ensureDir(previewDir);
+        try {
+            await renderPage(comicCreatorUrl, previewDir, singlePageState, previewPath, {
+                outputMode: 'raster',
+                imageFormat: settings.format,
+                imageQuality: settings.quality,
+                viewport,
+                assetDir: assetStore.storeDir,
+                signal,
+                urgent: true // Ahead of export pages waiting for a browser
+            });
+            const preview = { body: await fs.readFile(previewPath), contentType: IMAGE_FORMATS[settings.format].mediaType };
+            previewCache.set(hash, preview);
+            return preview;
+        } catch (error) {
+            if (signal.aborted) {
+                throw new Error(`Preview did not finish within ${PREVIEW_TIMEOUT_MS / 1000}s`);
             }
+            throw error;
+        } finally {
+            await fs.remove(previewDir).catch(() => {});
         }
-    }
-}, 60 * 60 * 1000); // Run every hour
+    })();
+    pendingPreviews.set(hash, render);
+    render.finally(() => pendingPreviews.delete(hash)).catch(() => {});
+    return render;
+}
 
 // Function to create a project state for a single page
 function createSinglePageProjectState(fullProjectState, pageIndexToExport) {
-    console.log(`[SinglePageState] Creating state for page index: ${pageIndexToExport}`);
+    logger.info(`[SinglePageState] Creating state for page index: ${pageIndexToExport}`);
     const pageToExport = fullProjectState.pages[pageIndexToExport];
 
     if (!pageToExport) {
-        console.error(`[SinglePageState] Error: Page at index ${pageIndexToExport} not found.`);
+        logger.error(`[SinglePageState] Error: Page at index ${pageIndexToExport} not found.`);
         return null;
     }
 
@@ -113,10 +439,11 @@ function createSinglePageProjectState(fullProjectState, pageIndexToExport) {
             if (sticker.imageId) usedImageIds.add(sticker.imageId);
         });
     }
-    console.log(`[SinglePageState] Page ${pageIndexToExport} uses image IDs:`, Array.from(usedImageIds));
+    logger.info(`[SinglePageState] Page ${pageIndexToExport} uses image IDs:`, Array.from(usedImageIds));
 
-    // Filter the full project's images to include only those used on this page
-    const imagesForThisPage = fullProjectState.images.filter(img => usedImageIds.has(img.id));
+    // Filter the full project's images to include only those used on this page.
+    // Uploaded images ("asset:<sha256>") become URLs the page loads from the asset store.
+    const imagesForThisPage = resolveAssetReferences(fullProjectState.images.filter(img => usedImageIds.has(img.id)));
 
     const singlePageProjectState = {
         version: fullProjectState.version,
@@ -132,692 +459,936 @@ function createSinglePageProjectState(fullProjectState, pageIndexToExport) {
         currentFolderId: fullProjectState.currentFolderId,
         customLayouts: fullProjectState.customLayouts,
     };
-    console.log(`[SinglePageState] Created state for page ${pageIndexToExport}. Images included: ${imagesForThisPage.length}. Original project images: ${fullProjectState.images.length}`);
+    logger.info(`[SinglePageState] Created state for page ${pageIndexToExport}. Images included: ${imagesForThisPage.length}. Original project images: ${fullProjectState.images.length}`);
     return singlePageProjectState;
 }
 
 
-async function capturePageAsImage(comicCreatorUrl, outputDirectory, projectState, outputPdfPath) { // Added outputPdfPath
-  console.log(`[Puppeteer] Launching browser for output: ${outputPdfPath}`);
-  
-  // Configure browser for Ubuntu Droplet environment
-  console.log('Environment details:', {
-    NODE_ENV: process.env.NODE_ENV,
-    PLATFORM: process.platform,
-    PUPPETEER_EXECUTABLE_PATH: process.env.PUPPETEER_EXECUTABLE_PATH
-  });
-
-  // Determine Chrome executable path for both Windows and Linux
-  let chromeExecutablePath;
-  
-  if (process.env.PUPPETEER_EXECUTABLE_PATH) {
-    chromeExecutablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
-  } else if (process.platform === 'win32') {
-    // Windows Chrome paths
-    const windowsPaths = [
-      'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
-      'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
-      process.env.LOCALAPPDATA + '\\Google\\Chrome\\Application\\chrome.exe'
-    ];
-    chromeExecutablePath = windowsPaths.find(path => {
-      try {
-        require('fs').accessSync(path);
-        return true;
-      } catch (error) {
-        return false;
-      }
-    }) || windowsPaths[0]; // Default to first path if none found
-  } else {
-    // Linux Chrome paths
-    chromeExecutablePath = '/usr/bin/google-chrome-stable' || 
-      '/usr/bin/google-chrome' || 
-      '/usr/bin/chromium' ||
-      '/usr/bin/chromium-browser';
-  }
-
-  // Verify Chrome exists
-  try {
-    await fs.access(chromeExecutablePath);
-    console.log(`[Puppeteer] Verified Chrome exists at: ${chromeExecutablePath}`);
-  } catch (error) {
-    console.error(`[Puppeteer] Chrome not found at ${chromeExecutablePath}. Error:`, error);
-    throw new Error(`Chrome not found at ${chromeExecutablePath}. Please install Chrome/Chromium.`);
-  }
-
-  console.log(`[Puppeteer] Using Chrome executable: ${chromeExecutablePath}`);
-
-  // OPTIMIZED BROWSER CONFIG FOR 1GB MEMORY
-  const browser = await puppeteer.launch({
-    headless: "new",
-    executablePath: chromeExecutablePath,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--disable-extensions',
-      '--disable-software-rasterizer',
-      '--disable-background-timer-throttling',
-      '--disable-backgrounding-occluded-windows',
-      '--disable-renderer-backgrounding',
-      '--disable-features=TranslateUI',
-      '--disable-component-extensions-with-background-pages',
-      '--no-default-browser-check',
-      '--no-first-run',
-      '--disable-default-apps',
-      '--disable-popup-blocking',
-      '--disable-translate',
-      '--disable-background-networking',
-      '--disable-sync',
-      '--metrics-recording-only',
-      '--no-report-upload',
-      '--disable-crash-reporter',
-      '--window-size=1280,800',
-      // MEMORY OPTIMIZATION FLAGS
-      '--memory-pressure-off',
-      '--max_old_space_size=512',
-      '--disable-features=VizDisplayCompositor',
-      '--disable-threaded-scrolling',
-      '--disable-web-security',
-      '--disable-features=site-per-process',
-      '--disable-blink-features=AutomationControlled',
-      '--disable-ipc-flooding-protection',
-      '--single-process', // CRITICAL: Run in single process to reduce memory
-      '--no-zygote'      // CRITICAL: Disable zygote process
-    ],
-    defaultViewport: {
-      width: 1280,
-      height: 800
-    },
-    timeout: 30000, // Reduced timeout
-    protocolTimeout: 30000 // Add protocol timeout
-  });
-
-  let page;
-  try {
-    // Create new page
-    page = await browser.newPage();
-    
-    // Set longer timeout for navigation and element waiting
-    page.setDefaultTimeout(60000);
-    
-    // Set viewport
-    await page.setViewport({ 
-      width: 1920, 
-      height: 1080,
-      deviceScaleFactor: 2
-    });
+/**
+ * Merge the rendered page PDFs into one document
+ * @param {string[]} pdfFilePaths - Page PDFs in order
+ * @param {string} finalOutputPath - Where to write the merged PDF
+ * @param {object|null} printOptions - Print preset, to place pages on trim + bleed sheets
+ * @param {number[]} pageNumbers - 1-based project page number of each file, for errors
+ * @throws {Error} - If any page can't be merged, naming the pages, so no PDF goes out with pages missing
+ */
+async function mergePdfs(pdfFilePaths, finalOutputPath, printOptions, pageNumbers) {
+    logger.info(`[PDFMerge] Starting to merge ${pdfFilePaths.length} PDF files into ${finalOutputPath}`);
+    const mergedPdf = await PDFDocument.create();
+    const failedPages = [];
+    for (const [index, filePath] of pdfFilePaths.entries()) {
+        try {
+            logger.debug(`[PDFMerge] Reading PDF: ${filePath}`);
+            const pdfBytes = await fs.readFile(filePath);
+            const pdfDoc = await PDFDocument.load(pdfBytes);
+            if (printOptions) {
+                // Print preset: place each page on a trim + bleed sheet with TrimBox/BleedBox set
+                for (const sourcePage of pdfDoc.getPages()) {
+                    const { width, height } = sourcePage.getSize();
+                    const embeddedPage = await mergedPdf.embedPage(sourcePage);
+                    addPrintPage(mergedPdf, embeddedPage, computePrintLayout(printOptions, width, height));
+                    logger.debug(`[PDFMerge] Added print sheet from ${filePath}`);
+                }
+                continue;
+            }
+            const copiedPages = await mergedPdf.copyPages(pdfDoc, pdfDoc.getPageIndices());
+            copiedPages.forEach((page) => {
+                mergedPdf.addPage(page);
+                logger.debug(`[PDFMerge] Added page from ${filePath}`);
+            });
+        } catch (err) {
+            logger.error(`[PDFMerge] Error processing file ${filePath}:`, err);
+            failedPages.push(pageNumbers[index]);
+        }
+    }
+    if (failedPages.length > 0) {
+        throw new Error(`Could not merge page${failedPages.length === 1 ? '' : 's'} ${failedPages.join(', ')} into the PDF`);
+    }
+    if (printOptions) {
+        addOutputIntent(mergedPdf, printOptions);
+    }
+    const mergedPdfBytes = await mergedPdf.save();
+    await fs.writeFile(finalOutputPath, mergedPdfBytes);
+    logger.info(`[PDFMerge] Merged PDF saved successfully to ${finalOutputPath}`);
+}
 
-    // Important: Set up page handlers BEFORE any navigation
-    await page.evaluateOnNewDocument(() => {
-      window.onbeforeunload = null;
-      window.IS_PUPPETEER_EXPORT = true;
-      console.log('[Pre-Navigation] Set IS_PUPPETEER_EXPORT flag');
-    });
 
-    // Enable request interception
-    await page.setRequestInterception(true);
-    page.on('request', request => {
-      request.continue().catch(err => console.error('[Puppeteer] Error continuing request:', err));
-      if (request.failure()) {
-        console.error(`[Puppeteer] Request failed: URL: ${request.url()}, Error: ${request.failure().errorText}`);
-      }
-    });
+// Statuses of a job that has left the queue but not finished yet
+const RUNNING_STATUSES = ['processing', 'merging', 'packaging', 'compressing', 'storing'];
+// Statuses that mean a job was still waiting or running when the server stopped
+const UNFINISHED_STATUSES = ['queued', ...RUNNING_STATUSES];
+// Statuses a job ends in; reaching one sends the callbackUrl webhook
+const FINISHED_STATUSES = ['complete', 'error', 'cancelled'];
+// Webhook states that still need a delivery (used to resume after a restart)
+const UNDELIVERED_CALLBACK_STATES = ['pending', 'sending', 'retrying'];
+
+// Merge changes into a job, stamp lastUpdated, persist the new snapshot and notify progress listeners
+function updateJob(jobId, changes) {
+    const job = exportJobs[jobId];
+    if (!job) {
+        return;
+    }
+    const finished = FINISHED_STATUSES.includes(changes.status) && !FINISHED_STATUSES.includes(job.status);
+    Object.assign(job, changes, { lastUpdated: Date.now() });
+    jobStore.saveJob(job);
+    jobEvents.emit('update', jobId);
+
+    if (finished) {
+        const labels = { status: job.status, format: job.exportOptions?.format || 'pdf' };
+        jobsFinishedTotal.inc(labels);
+        jobDurationSeconds.observe((job.lastUpdated - job.createdAt) / 1000, labels);
+    }
 
-    // Log console messages
-    page.on('console', msg => console.log('[Page Console]', msg.text()));
-    page.on('pageerror', err => console.error('[Page Error]', err));
+    if (FINISHED_STATUSES.includes(changes.status) && job.callback?.status === 'pending') {
+        notifyCallback(jobId);
+    }
+}
 
-    // Add initial delay before navigation
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    console.log(`[Puppeteer] Starting navigation to: ${comicCreatorUrl}`);
+// Download link a webhook receiver can use without API credentials: presigned by the storage
+// backend when it can, otherwise an API link signed for this job's owner
+async function getCallbackDownloadUrl(job) {
+    const location = getStoredLocation(job);
+    const presignedUrl = location ? await getStorageFor(location).getDownloadUrl(location, DOWNLOAD_URL_EXPIRES) : null;
+    if (presignedUrl) {
+        return presignedUrl;
+    }
+    const downloadPath = `/api/download/${job.id}`;
+    return `${job.callback.baseUrl}${downloadPath}?${signDownloadPath(downloadPath, job.ownerId, DOWNLOAD_URL_EXPIRES)}`;
+}
 
-    // Navigate with robust wait conditions
-    const response = await page.goto(comicCreatorUrl, { 
-      waitUntil: ['networkidle0', 'domcontentloaded', 'load'],
-      timeout: 60000
-    });
+// Webhook body for a finished job
+async function buildCallbackPayload(job) {
+    let fileSize = job.storage?.size ?? null;
+    if (fileSize === null && job.status === 'complete' && job.finalOutputPath) {
+        fileSize = await fs.stat(job.finalOutputPath).then(stats => stats.size).catch(() => null);
+    }
+    return {
+        event: `export.${job.status}`,
+        jobId: job.id,
+        status: job.status,
+        format: job.exportOptions.format,
+        totalPages: job.totalPages,
+        pageRange: job.exportOptions.pageRange,
+        fileSize,
+        downloadUrl: job.status === 'complete' ? await getCallbackDownloadUrl(job) : null,
+        downloadUrlExpiresAt: job.status === 'complete' ? new Date(Date.now() + DOWNLOAD_URL_EXPIRES * 1000).toISOString() : null,
+        compressionInfo: job.compressionInfo,
+        warnings: job.warnings,
+        error: job.error,
+        createdAt: new Date(job.createdAt).toISOString(),
+        finishedAt: new Date(job.lastUpdated).toISOString()
+    };
+}
 
-    if (!response.ok()) {
-      throw new Error(`Failed to load page: ${response.status()} ${response.statusText()}`);
+// POST the finished job to its callbackUrl, recording every attempt on the job
+async function notifyCallback(jobId) {
+    const job = exportJobs[jobId];
+    job.callback.status = 'sending'; // Set right away so a second status change can't send it twice
+    try {
+        const payload = await buildCallbackPayload(job);
+        await deliverWebhook(job.callback.url, payload, {
+            previousAttempts: job.callback.attempts.length,
+            onAttempt: (record, state) => {
+                // The job may have been cleaned up while a retry was waiting
+                if (exportJobs[jobId]) {
+                    updateJob(jobId, { callback: { ...job.callback, status: state, attempts: [...job.callback.attempts, record] } });
+                }
+            }
+        });
+    } catch (error) {
+        logger.error(`[Webhooks] Error notifying callback for job ${jobId}:`, error);
     }
+}
 
-    // Add post-navigation delay
-    console.log(`[Puppeteer] Navigation complete. Waiting for page stabilization...`);
-    await new Promise(resolve => setTimeout(resolve, 3000));
+function notifyQueuedJobs() {
+    exportQueue.getQueuedJobIds().forEach(jobId => jobEvents.emit('update', jobId));
+}
 
-    console.log(`[Puppeteer] Waiting for comic canvas...`);
+// Update the job's own and the global page render averages
+function recordPageRenderTime(jobId, durationMs) {
+    const job = exportJobs[jobId];
+    const renderedPages = job.renderedPages || 0;
+    const averagePageMs = renderedPages === 0
+        ? durationMs
+        : Math.round(((job.averagePageMs * renderedPages) + durationMs) / (renderedPages + 1));
 
-    // Wait for the comic canvas with extended timeout and visibility check
-    try {
-      // First ensure the page is fully loaded
-      console.log('[Puppeteer] Waiting for full page load...');
-      await page.waitForFunction(() => {
-        return document.readyState === 'complete' && 
-               typeof window.comicCreator !== 'undefined' &&
-               window.IS_PUPPETEER_EXPORT === true;
-      }, { timeout: 30000 });
-      
-      console.log('[Puppeteer] Page fully loaded, now waiting for comic canvas...');
-      
-      // Then wait for the canvas
-      await page.waitForFunction(() => {
-        const canvas = document.querySelector('#comic-canvas');
-        if (!canvas) {
-          console.log('[Page Eval] #comic-canvas not found yet.');
-          return false;
-        }
-        const style = window.getComputedStyle(canvas);
-        if (style.display === 'none') {
-          console.log('[Page Eval] #comic-canvas found but display is none.');
-          return false;
-        }
-        return true;
-      }, { timeout: 60000 });
-      
-      console.log('[Puppeteer] Successfully found #comic-canvas.');
+    renderStats.averagePageMs = renderStats.samples === 0
+        ? durationMs
+        : Math.round((renderStats.averagePageMs * 0.8) + (durationMs * 0.2));
+    renderStats.samples++;
 
+    return { renderedPages: renderedPages + 1, averagePageMs };
+}
+
+function getRemainingPages(job) {
+    return Math.max(job.totalPages - job.completedPages.length, 0);
+}
+
+// Seconds until the job is expected to finish rendering, based on measured page render times
+function estimateRemainingSeconds(job) {
+    if (!UNFINISHED_STATUSES.includes(job.status)) {
+        return null;
+    }
+    let pagesAhead = 0;
+    if (job.status === 'queued') {
+        // Wait for the running jobs and every job ahead in the queue
+        Object.values(exportJobs)
+            .filter(other => RUNNING_STATUSES.includes(other.status))
+            .forEach(other => { pagesAhead += getRemainingPages(other); });
+        const position = exportQueue.getPosition(job.id);
+        exportQueue.getQueuedJobIds().slice(0, Math.max(position - 1, 0))
+            .forEach(otherId => { pagesAhead += exportJobs[otherId] ? getRemainingPages(exportJobs[otherId]) : 0; });
+    }
+    const pageMs = job.renderedPages > 0 ? job.averagePageMs : renderStats.averagePageMs;
+    // Jobs ahead are worked through MAX_CONCURRENT_EXPORTS at a time
+    return Math.round((((pagesAhead / MAX_CONCURRENT_EXPORTS) * renderStats.averagePageMs) + (getRemainingPages(job) * pageMs)) / 1000);
+}
+
+/**
+ * Whether a user may see a job (used by the WebSocket progress stream, which bypasses the router)
+ * @param {object|null} user - Authenticated user
+ * @param {string} jobId - Job ID
+ * @returns {boolean}
+ */
+export function userCanAccessJob(user, jobId) {
+    return !!exportJobs[jobId] && canAccessJob(user, exportJobs[jobId]);
+}
+
+/**
+ * Public view of a job for progress endpoints and streams: server paths are left out,
+ * and queue position and ETA are computed live.
+ * @param {string} jobId - Job ID
+ * @returns {object|null} - Job snapshot, or null if the job doesn't exist
+ */
+export function getJobProgress(jobId) {
+    const job = exportJobs[jobId];
+    if (!job) {
+        return null;
+    }
+    const { jobOutputDir, finalPdfPath, compressedPdfPath, finalOutputPath, ownerId, assetHashes, storage, ...publicJob } = job;
+    return {
+        ...publicJob,
+        notes: getJobNotes(job),
+        queuePosition: job.status === 'queued' ? exportQueue.getPosition(jobId) : 0,
+        etaSeconds: estimateRemainingSeconds(job)
+    };
+}
+
+// Uploaded images that must stay in the asset store: those of unfinished jobs and open upload sessions
+function getAssetsInUse() {
+    const inUse = exportSessions.getPendingAssets();
+    Object.values(exportJobs)
+        .filter(job => UNFINISHED_STATUSES.includes(job.status) || job.status === 'cancelling')
+        .forEach(job => (job.assetHashes || []).forEach(hash => inUse.add(hash)));
+    return inUse;
+}
+
+// Things to know about how a job's file is made; unlike warnings, nothing is wrong
+function getJobNotes(job) {
+    const printOptions = job.exportOptions?.print;
+    if (!printOptions) {
+        return [];
+    }
+    return [{
+        type: 'color-space',
+        message: `Pages are RGB; the printer converts them to CMYK (${getOutputCondition(printOptions).info}), so saturated colours such as bright greens, blues and oranges may print duller. Check a printed proof`
+    }];
+}
+
+/**
+ * Upgrade a submitted project state to the current version and check it (export and preview requests)
+ * @param {*} projectState - Request body
+ * @returns {object} - { projectState, fromVersion, assetHashes }, or { rejection: { status, body } } to send back
+ */
+function checkSubmittedProject(projectState) {
+    // Projects saved by older creator versions are upgraded to the current shape first
+    let migration;
+    try {
+        migration = migrateProjectState(projectState);
     } catch (error) {
-      console.error('[Puppeteer] Failed to find comic canvas. DOM state before error:');
-      try {
-        const domState = await page.evaluate(() => document.body.innerHTML);
-        console.error(domState);
-      } catch (evalError) {
-        console.error('[Puppeteer] Could not even evaluate document.body.innerHTML after waitForFunction error:', evalError.message);
-      }
-      throw error;
-    }
-
-    // Inject CSS to ensure consistent rendering
-    await page.addStyleTag({
-      content: `
-        #comic-canvas {
-          transform: none !important;
-          transition: none !important;
-          opacity: 1 !important;
-          visibility: visible !important;
-          display: block !important;
-        }
-        /* Ensure text bubbles are rendered statically and centered for rotation */
-        body.exporting .text-bubble,
-        .text-bubble.exporting-direct-style {
-          transform-origin: center center !important; 
-          transition: none !important;
-          opacity: 1 !important;
-          visibility: visible !important;
-        }
-        body.exporting .text-bubble .text-content {
-          margin: 0 !important;
-          padding: 0 !important;
-          vertical-align: top !important;
-        }
-        /* CRITICAL: Fix text outline and shadow rendering during export - PRESERVE ORIGINAL COLOR */
-        .text-content[data-has-outline="true"] {
-          -webkit-text-stroke-width: var(--stroke-width, 1px) !important;
-          -webkit-text-stroke-color: var(--stroke-color, #000000) !important;
-          /* DO NOT override color - preserve the original text color */
-          -webkit-font-smoothing: antialiased !important;
-          -moz-osx-font-smoothing: grayscale !important;
-          text-rendering: optimizeLegibility !important;
-          /* Ensure text fill is preserved for webkit stroke */
-          -webkit-text-fill-color: currentColor !important;
-        }
-        /* Ensure text with shadow renders correctly - PRESERVE ALL SHADOW VALUES INCLUDING BLUR */
-        .text-content[data-has-shadow="true"] {
-          /* Explicitly ensure shadows are visible during export */
-          text-shadow: var(--export-text-shadow) !important;
-        }
-        /* Fallback for text that might have both outline and shadow */
-        .text-content {
-          -webkit-font-smoothing: antialiased !important;
-          -moz-osx-font-smoothing: grayscale !important;
-          text-rendering: optimizeLegibility !important;
-        }
-        .canvas-sticker-image {
-          transform-origin: center center !important;
-          transition: none !important;
-          opacity: 1 !important;
-          visibility: visible !important;
+        if (!(error instanceof ProjectVersionError)) {
+            logger.error('[Vite Server] Project migration failed:', error);
+            return { rejection: { status: 500, body: { error: 'Could not upgrade the project to the current version.' } } };
         }
-        .comic-panel img {
-          transition: none !important;
-          opacity: 1 !important;
-          visibility: visible !important;
+        logger.error(`[Vite Server] Project version rejected: ${error.message}`);
+        return {
+            rejection: {
+                status: error.statusCode,
+                body: { error: error.message, version: error.version, supportedVersion: CURRENT_PROJECT_VERSION }
+            }
+        };
+    }
+    if (migration.applied.length > 0) {
+        logger.info(`[Vite Server] Upgraded project from version ${migration.fromVersion} to ${CURRENT_PROJECT_VERSION}: ${migration.applied.join('; ')}`);
+    }
+
+    // Malformed pages and dangling image references are refused here rather than failing in Chromium
+    const schemaErrors = validateProjectState(migration.projectState);
+    if (schemaErrors.length > 0) {
+        logger.error(`[Vite Server] Invalid project state received (${schemaErrors.length} problem${schemaErrors.length === 1 ? '' : 's'}), first: ${schemaErrors[0].path} ${schemaErrors[0].message}`);
+        return {
+            rejection: {
+                status: 400,
+                body: {
+                    error: `Invalid project state: ${schemaErrors[0].path || '(root)'} ${schemaErrors[0].message}`,
+                    schema: projectStateSchema.$id,
+                    details: schemaErrors
+                }
+            }
+        };
+    }
+
+    // Every "asset:<sha256>" image must have been uploaded
+    const assetHashes = [...collectAssetReferences(migration.projectState)];
+    const missingAssets = assetStore.findMissing(assetHashes);
+    if (missingAssets.length > 0) {
+        logger.error(`[Vite Server] Project references ${missingAssets.length} images that were never uploaded`);
+        return {
+            rejection: {
+                status: 400,
+                body: {
+                    error: `${missingAssets.length} referenced images have not been uploaded. Upload them to the export session first.`,
+                    missingAssets
+                }
+            }
+        };
+    }
+
+    return { projectState: migration.projectState, fromVersion: migration.fromVersion, assetHashes };
+}
+
+// Render one page in this process or in a render worker, depending on RENDER_MODE
+function renderPage(comicCreatorUrl, outputDirectory, projectState, outputPath, renderOptions) {
+    if (RENDER_MODE === 'worker') {
+        return renderWorkerPool.render(comicCreatorUrl, outputDirectory, projectState, outputPath, renderOptions);
+    }
+    return capturePageAsImage(comicCreatorUrl, outputDirectory, projectState, outputPath, renderOptions);
+}
+
+// Stop at a safe point once a job has been cancelled
+function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw new Error('Export cancelled');
+    }
+}
+
+// Queue a job for rendering. projectState may be null when resuming, in which case it is read back from the store.
+function enqueueExportJob(jobId, projectState, comicCreatorUrl) {
+    const controller = new AbortController();
+    jobControllers.set(jobId, controller);
+    const job = exportJobs[jobId];
+
+    // Everything logged while the job runs carries its jobId
+    exportQueue.add(() => runWithLogContext({ jobId }, async () => {
+        if (controller.signal.aborted) {
+            // Cancelled after it left the queue but before it started
+            await finishCancelledJob(jobId);
+            return;
         }
-        .canvas-background-image {
-          transition: none !important;
-          opacity: 1 !important;
-          visibility: visible !important;
+        let state = projectState;
+        if (!state) {
+            try {
+                state = await jobStore.loadProjectState(exportJobs[jobId]);
+            } catch (error) {
+                logger.error(`[Vite Server Job ${jobId}] Could not read saved project state:`, error);
+            }
+            if (!state) {
+                updateJob(jobId, { status: 'error', error: 'Project state was lost when the server restarted. Please export again.' });
+                return;
+            }
+            if (controller.signal.aborted) {
+                await finishCancelledJob(jobId);
+                return;
+            }
         }
-      `
-    });
+        await runExportJob(jobId, state, comicCreatorUrl, controller.signal);
+    }), {
+        jobId,
+        ownerId: job.ownerId,
+        priority: job.exportOptions.priority, // Missing on jobs saved before priorities existed
+        pages: getRemainingPages(job)
+    }).finally(() => jobControllers.delete(jobId));
+}
 
-    // STEP 1: Verify comicCreator and the method exist
-    console.log('[Puppeteer] Verifying window.comicCreator and _loadProjectFromState method...');
-    const comicCreatorCheck = await page.evaluate(() => {
-      let attempts = 0;
-      while (!window.comicCreator && attempts < 100) {
-        // Not using await new Promise here as it might be too complex if page is unstable
-        // Synchronous wait/check is fine within evaluate for this simple check.
-        // For longer waits, use waitForFunction directly in Puppeteer's context.
-        // This loop is primarily to catch if comicCreator is defined *slightly* later.
-        console.log(`[Page Eval - Check] Attempt ${attempts + 1}: window.comicCreator is ${typeof window.comicCreator}`);
-        // Basic synchronous delay, less reliable but avoids nested promises in a potentially unstable context
-        const start = Date.now();
-        while (Date.now() - start < 100) { /* do nothing */ }
-        attempts++;
-      }
-
-      if (!window.comicCreator) {
-        console.error('[Page Eval - Check] window.comicCreator not found after checks.');
-        return { found: false, methodFound: false, error: 'window.comicCreator not found' };
-      }
-      console.log('[Page Eval - Check] window.comicCreator IS found.');
-      if (typeof window.comicCreator._loadProjectFromState !== 'function') {
-        console.error('[Page Eval - Check] window.comicCreator._loadProjectFromState is NOT a function. Type: ' + typeof window.comicCreator._loadProjectFromState);
-        return { found: true, methodFound: false, error: '_loadProjectFromState is not a function' };
-      }
-      console.log('[Page Eval - Check] window.comicCreator._loadProjectFromState IS a function.');
-      return { found: true, methodFound: true };
+// Backend holding a stored export: the configured one, or local disk for files kept from before a switch
+function getStorageFor(location) {
+    return location.backend === exportStorage.name ? exportStorage : localExportStorage;
+}
+
+// Where a finished job's file is; jobs finished before storage backends existed only have a local path
+function getStoredLocation(job) {
+    if (job.storage) {
+        return job.storage;
+    }
+    const outputPath = job.finalOutputPath || job.finalPdfPath;
+    return outputPath ? { backend: 'local', path: outputPath, fileName: path.basename(outputPath) } : null;
+}
+
+// Hand the finished file to the storage backend. Remote backends get their own copy,
+// after which the job's output directory is no longer needed.
+async function storeExport(jobId, outputPath, signal) {
+    const job = exportJobs[jobId];
+    if (exportStorage.name !== 'local') {
+        updateJob(jobId, { status: 'storing' });
+    }
+    const storage = await exportStorage.save(outputPath, {
+        jobId,
+        fileName: path.basename(outputPath),
+        contentType: EXPORT_FORMATS[job.exportOptions.format].contentType
     });
+    if (signal?.aborted && storage.backend !== 'local') {
+        await exportStorage.remove(storage).catch(error => logger.error(`[Vite Server Job ${jobId}] Error removing stored export after cancellation:`, error));
+    }
+    return storage;
+}
 
-    console.log('[Puppeteer] Comic creator check results:', comicCreatorCheck);
+// Once a remote backend has the file, the local copy and page files can go
+async function removeStoredOutputDir(jobId) {
+    const job = exportJobs[jobId];
+    if (job.storage.backend === 'local') {
+        return;
+    }
+    await fs.remove(job.jobOutputDir)
+        .catch(error => logger.error(`[Vite Server Job ${jobId}] Error removing output directory ${job.jobOutputDir} after upload:`, error));
+}
 
-    if (!comicCreatorCheck || !comicCreatorCheck.found || !comicCreatorCheck.methodFound) {
-      const errorMessage = comicCreatorCheck && comicCreatorCheck.error ? comicCreatorCheck.error : 'Comic creator or method not found.';
-      console.error(`[Puppeteer] Failed comic creator sanity check: ${errorMessage}`);
-      throw new Error(`Failed comic creator sanity check: ${errorMessage}`);
+// Delete a finished job: its record, output directory and stored file. Resolves to the local bytes freed.
+async function removeJob(jobId, reason) {
+    const job = exportJobs[jobId];
+    delete exportJobs[jobId];
+    logger.info(`[JobCleanup] Removing ${job.status} job ${jobId} (${reason})`);
+
+    let freedBytes = 0;
+    if (job.jobOutputDir) {
+        freedBytes = await getDirectorySize(job.jobOutputDir);
+        await fs.remove(job.jobOutputDir).catch((err) => {
+            freedBytes = 0;
+            logger.error(`[JobCleanup] Error cleaning up job output directory ${job.jobOutputDir} for job ${jobId}:`, err);
+        });
     }
-    console.log('[Puppeteer] window.comicCreator and method _loadProjectFromState verified.');
+    if (job.storage && job.storage.backend !== 'local') {
+        await getStorageFor(job.storage).remove(job.storage)
+            .catch(err => logger.error(`[JobCleanup] Error removing stored export for job ${jobId}:`, err));
+    }
+    await jobStore.deleteJob(jobId)
+        .catch(err => logger.error(`[JobCleanup] Error removing stored job ${jobId}:`, err));
+    return freedBytes;
+}
 
-    // Ensure fonts are loaded before attempting to load the project state
-    console.log('[Puppeteer] Waiting for document fonts to be ready...');
-    await page.evaluate(() => document.fonts.ready);
-    console.log('[Puppeteer] Document fonts are ready.');
+// Size of each job's output directory
+async function getJobDirectorySizes() {
+    const sizes = new Map();
+    for (const job of Object.values(exportJobs)) {
+        sizes.set(job.id, job.jobOutputDir ? await getDirectorySize(job.jobOutputDir) : 0);
+    }
+    return sizes;
+}
 
-    // Expose a function to the page that can return the projectState.
-    // This avoids serializing the potentially huge projectState as a direct argument to page.evaluate.
-    console.log('[Puppeteer] Exposing window.getPuppeteerProjectState function...');
-    await page.exposeFunction('getPuppeteerProjectState', () => {
-        console.log('[Puppeteer Node.js Context] getPuppeteerProjectState called from page. Returning JSON string...');
+// Job directories no job refers to: left by a crash, by JOB_STORE=memory, or by older versions
+// that kept the directories of failed jobs forever
+async function removeOrphanDirectories() {
+    if (!jobsRestored) {
+        return { removed: 0, freedBytes: 0 };
+    }
+    const knownDirectories = new Set(Object.values(exportJobs)
+        .filter(job => job.jobOutputDir)
+        .map(job => path.resolve(job.jobOutputDir)));
+    let freedBytes = 0;
+    let removed = 0;
+    for (const directory of await findOrphanDirectories(outputDirectory, knownDirectories)) {
+        const size = await getDirectorySize(directory);
         try {
-            const jsonString = JSON.stringify(projectState);
-            console.log(`[Puppeteer Node.js Context] projectState stringified. Length: ${jsonString.length}`);
-            return jsonString;
-        } catch (stringifyError) {
-            console.error('[Puppeteer Node.js Context] Error stringifying projectState:', stringifyError);
-            return null; // Or throw, so the page knows something went wrong
+            await fs.remove(directory);
+            freedBytes += size;
+            removed++;
+        } catch (err) {
+            logger.error(`[JobCleanup] Error removing orphaned directory ${directory}:`, err);
         }
-    });
-    console.log('[Puppeteer] window.getPuppeteerProjectState exposed.');
+    }
+    if (removed > 0) {
+        logger.info(`[JobCleanup] Removed ${removed} orphaned job directories (${Math.round(freedBytes / 1024 / 1024)}MB)`);
+    }
+    return { removed, freedBytes };
+}
 
-    // STEP 2: Now attempt to load the project state
-    console.log('[Puppeteer] Attempting to call _loadProjectFromState via page.evaluate, using exposed function for state...');
-    const loadResult = await page.evaluate(async () => { // Renamed from loadSuccess
-        console.log('[Page Eval - Load] Entered page.evaluate for _loadProjectFromState.');
-        let stateFromNode;
-        try {
-            console.log('[Page Eval - Load] Calling window.getPuppeteerProjectState()...');
-            const projectStateJSON = await window.getPuppeteerProjectState();
-            console.log(`[Page Eval - Load] Received potential JSON string from getPuppeteerProjectState. Length: ${projectStateJSON ? projectStateJSON.length : 'null/undefined'}`);
-            if (!projectStateJSON) {
-                console.error('[Page Eval - Load] projectStateJSON is null or undefined after calling getPuppeteerProjectState.');
-                return { success: false, error: 'Received null/undefined projectStateJSON from getPuppeteerProjectState' };
-            }
-            console.log('[Page Eval - Load] Parsing projectStateJSON...');
-            stateFromNode = JSON.parse(projectStateJSON);
-            console.log('[Page Eval - Load] projectStateJSON parsed successfully.');
-        } catch (e) {
-            console.error('[Page Eval - Load] Error calling getPuppeteerProjectState or parsing its result:', e);
-            return { success: false, error: `Error getting/parsing state: ${e.message}` };
-      }
-      
-        if (!window.comicCreator) {
-            console.error('[Page Eval - Load] window.comicCreator not found.');
-            return { success: false, error: 'window.comicCreator not found' };
+// Preview scratch directories left by a crash mid-render; a live one is never older than the preview timeout
+async function removeStalePreviews(now) {
+    const previewsDir = path.join(outputDirectory, PREVIEWS_DIR);
+    const entries = await fs.readdir(previewsDir).catch(() => []);
+    let removed = 0;
+    for (const entry of entries) {
+        const entryPath = path.join(previewsDir, entry);
+        const stats = await fs.stat(entryPath).catch(() => null);
+        if (stats && now - stats.mtimeMs > PREVIEW_TIMEOUT_MS) {
+            await fs.remove(entryPath).catch(err => logger.error(`[JobCleanup] Error removing stale preview ${entryPath}:`, err));
+            removed++;
         }
-        if (typeof window.comicCreator._loadProjectFromState !== 'function') {
-            console.error('[Page Eval - Load] window.comicCreator._loadProjectFromState is not a function.');
-            return { success: false, error: 'window.comicCreator._loadProjectFromState not a function' };
+    }
+    if (removed > 0) {
+        logger.info(`[JobCleanup] Removed ${removed} stale preview directories`);
+    }
+    return removed;
+}
+
+async function cleanupJobs() {
+    const now = Date.now();
+    const removedJobs = [];
+    let freedBytes = 0;
+
+    for (const job of Object.values(exportJobs)) {
+        if (FINISHED_STATUSES.includes(job.status) && isExpired(job, now)) {
+            freedBytes += await removeJob(job.id, 'retention expired');
+            removedJobs.push(job.id);
         }
+    }
 
-        try {
-            console.log('[Page Eval - Load] Calling window.comicCreator._loadProjectFromState...');
-            await window.comicCreator._loadProjectFromState(stateFromNode);
-            console.log('[Page Eval - Load] _loadProjectFromState completed.');
-            return { success: true };
-        } catch (e) {
-            console.error('[Page Eval - Load] Error executing _loadProjectFromState:', e);
-            return { success: false, error: `Error in _loadProjectFromState: ${e.message}` };
+    const orphans = await removeOrphanDirectories();
+    freedBytes += orphans.freedBytes;
+    const stalePreviews = await removeStalePreviews(now);
+
+    // Over the disk cap: the oldest finished jobs go first
+    const sizes = await getJobDirectorySizes();
+    let diskBytes = [...sizes.values()].reduce((total, size) => total + size, 0);
+    if (MAX_DISK_BYTES > 0 && diskBytes > MAX_DISK_BYTES) {
+        const evictable = Object.values(exportJobs)
+            .filter(job => FINISHED_STATUSES.includes(job.status) && sizes.get(job.id) > 0)
+            .sort((a, b) => (a.lastUpdated || 0) - (b.lastUpdated || 0));
+        for (const job of evictable) {
+            if (diskBytes <= MAX_DISK_BYTES) {
+                break;
+            }
+            const freed = await removeJob(job.id, 'over EXPORT_MAX_DISK_MB');
+            diskBytes -= freed;
+            freedBytes += freed;
+            removedJobs.push(job.id);
         }
-    });
+        if (diskBytes > MAX_DISK_BYTES) {
+            logger.warn(`[JobCleanup] Job directories still use ${Math.round(diskBytes / 1024 / 1024)}MB, over EXPORT_MAX_DISK_MB: the rest belong to unfinished jobs`);
+        }
+    }
 
-    // console.log('[Puppeteer] Load success status from page.evaluate:', loadSuccess); // old
-    console.log('[Puppeteer] Load result from page.evaluate:', loadResult);
-
-    if (!loadResult || !loadResult.success) {
-        const errorMessage = loadResult && loadResult.error ? loadResult.error : 'Unknown error during project state loading in Puppeteer page.';
-        console.error(`[Puppeteer] Project loading failed: ${errorMessage}`);
-        // Try to get more details from the page if possible
-        const pageError = await page.evaluate(() => {
-          return window.comicCreator ? window.comicCreator.lastError : "No specific error found on comicCreator.";
-        }).catch(e => `Could not get error from page: ${e.message}`);
-        console.error(`[Puppeteer] Page-specific error detail: ${pageError}`);
-        throw new Error(`Project loading failed in Puppeteer: ${errorMessage}. Page detail: ${pageError}`);
-    }
-
-    console.log('[Puppeteer] Project state loaded successfully. Waiting for any final rendering...');
-    
-    // Add delay for rendering to complete after state loading
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    // Instead of specific elements, let's wait for images to be loaded if that's a concern
-    console.log('[Puppeteer] Waiting for images to load on the page (if any)...');
-    await page.evaluate(async () => {
-        const images = Array.from(document.images);
-        const promises = images.map(img => {
-            if (img.complete) return Promise.resolve();
-            return new Promise((resolve, reject) => {
-              img.onload = resolve;
-                img.onerror = () => resolve(); // Resolve on error too, don't block indefinitely
-            });
+    // Uploaded images: drop expired sessions and abandoned partial uploads
+    exportSessions.removeExpired();
+    await assetStore.removeStaleUploads(STALE_UPLOAD_MS)
+        .catch(err => logger.error('[JobCleanup] Error removing partial uploads:', err));
+
+    lastCleanup = {
+        at: new Date(now).toISOString(),
+        removedJobs,
+        orphanedDirectories: orphans.removed,
+        stalePreviews,
+        freedBytes,
+        diskBytes
+    };
+    if (removedJobs.length > 0) {
+        logger.info(`[JobCleanup] Removed ${removedJobs.length} jobs, freed ${Math.round(freedBytes / 1024 / 1024)}MB. Job directories now use ${Math.round(diskBytes / 1024 / 1024)}MB`);
+    }
+    return lastCleanup;
+}
+
+/**
+ * Delete finished jobs past their retention, orphaned job directories and, while job directories
+ * are over EXPORT_MAX_DISK_MB, the oldest finished jobs
+ * @returns {Promise<object>} - { at, removedJobs, orphanedDirectories, freedBytes, diskBytes }
+ */
+function runCleanup() {
+    // The timer, the startup sweep and the admin endpoint share one pass at a time
+    if (!cleanupInProgress) {
+        cleanupInProgress = cleanupJobs().finally(() => {
+            cleanupInProgress = null;
         });
-        await Promise.all(promises);
-    }, { timeout: 60000 }); // Extended timeout for image loading
-    console.log('[Puppeteer] All images on page considered loaded or timed out.');
-
-    // Wait for a short fixed time after image loading to allow final rendering tweaks
-    await new Promise(resolve => setTimeout(resolve, 1500)); // Adjusted timing for final rendering
-    console.log('[Puppeteer] Final rendering delay complete.');
-
-    console.log('[Puppeteer] About to get boundingBox. Checking canvas computed styles...');
-    console.log(`[Puppeteer] Project state dimensions for check: Width=${projectState.canvasWidth}, Height=${projectState.canvasHeight}`);
-    const canvasComputedStyles = await page.evaluate(() => {
-        const canvas = document.querySelector('#comic-canvas');
-        if (!canvas) return { error: '#comic-canvas not found' };
-        const styles = window.getComputedStyle(canvas);
-        const cs = {
-            width: styles.width,
-            height: styles.height,
-            minWidth: styles.minWidth,
-            minHeight: styles.minHeight,
-            maxWidth: styles.maxWidth,
-            maxHeight: styles.maxHeight,
-            cssVariableWidth: getComputedStyle(document.documentElement).getPropertyValue('--canvas-width').trim(),
-            cssVariableHeight: getComputedStyle(document.documentElement).getPropertyValue('--canvas-height').trim(),
-            offsetWidth: canvas.offsetWidth,
-            offsetHeight: canvas.offsetHeight,
-            clientWidth: canvas.clientWidth,
-            clientHeight: canvas.clientHeight,
-            scrollWidth: canvas.scrollWidth,
-            scrollHeight: canvas.scrollHeight
-        };
-        // Check parent dimensions too
-        if (canvas.parentElement) {
-            const parentStyles = window.getComputedStyle(canvas.parentElement);
-            cs.parentWidth = parentStyles.width;
-            cs.parentHeight = parentStyles.height;
-            cs.parentOffsetWidth = canvas.parentElement.offsetWidth;
-            cs.parentOffsetHeight = canvas.parentElement.offsetHeight;
+    }
+    return cleanupInProgress;
+}
+
+// Disk usage by job status plus the asset store, for GET /api/admin/storage
+async function getStorageReport() {
+    const sizes = await getJobDirectorySizes();
+    const jobs = {};
+    for (const job of Object.values(exportJobs)) {
+        jobs[job.status] = jobs[job.status] || { count: 0, bytes: 0 };
+        jobs[job.status].count++;
+        jobs[job.status].bytes += sizes.get(job.id);
+    }
+    return {
+        outputDirectory,
+        diskBytes: [...sizes.values()].reduce((total, size) => total + size, 0),
+        maxDiskBytes: MAX_DISK_BYTES || null,
+        filesystem: await getFilesystemUsage(outputDirectory),
+        jobs,
+        storage: exportStorage.name,
+        assets: assetStore.getUsage(),
+        renderCache: renderCache.getUsage(),
+        retentionMs: RETENTION_MS,
+        cleanupIntervalMs: CLEANUP_INTERVAL_MS,
+        lastCleanup
+    };
+}
+
+// Mark a job cancelled and delete everything it wrote
+async function finishCancelledJob(jobId) {
+    const job = exportJobs[jobId];
+    try {
+        await fs.remove(job.jobOutputDir);
+    } catch (error) {
+        logger.error(`[Vite Server Job ${jobId}] Error cleaning up cancelled job directory ${job.jobOutputDir}:`, error);
+    }
+    updateJob(jobId, { status: 'cancelled', currentPage: 0, error: null });
+    logger.info(`[Vite Server Job ${jobId}] Export cancelled`);
+}
+
+// Effective DPI of an image on the canvas once the page is scaled onto the print sheet
+function getEffectiveDpi(image, artScale) {
+    const printedWidthInches = (image.displayWidth * artScale) / 72;
+    const printedHeightInches = (image.displayHeight * artScale) / 72;
+    return Math.round(Math.min(image.naturalWidth / printedWidthInches, image.naturalHeight / printedHeightInches));
+}
+
+// Record a non-fatal problem on the job (shown to the client with the job status)
+function addJobWarning(jobId, warning) {
+    logger.warn(`[Vite Server Job ${jobId}] Warning: ${warning.message}`);
+    updateJob(jobId, { warnings: [...exportJobs[jobId].warnings, warning] });
+}
+
+// Build the requested container from the rendered page images
+async function packagePages(exportOptions, pagePaths, archivePath, projectState, pageNumbers) {
+    const metadata = { title: projectState.title, ...exportOptions.metadata };
+    if (exportOptions.format === 'cbz') {
+        await packageCbz(pagePaths, archivePath, metadata, pageNumbers);
+    } else if (exportOptions.format === 'epub') {
+        await packageEpub(pagePaths, archivePath, metadata, {
+            width: projectState.canvasWidth || 700,
+            height: projectState.canvasHeight || 700
+        }, pageNumbers);
+    } else {
+        await packageImagesZip(pagePaths, archivePath, pageNumbers);
+    }
+}
+
+// File name suffix for partial exports, e.g. "_pages_1-5_8"
+function getPageRangeSuffix(exportOptions) {
+    return exportOptions.pageRange ? `_pages_${exportOptions.pageRange.replace(/,/g, '_')}` : '';
+}
+
+async function runExportJob(jobId, projectState, comicCreatorUrl, signal) {
+    const job = exportJobs[jobId];
+    const { jobOutputDir, exportTimestamp, totalPages, exportOptions } = job;
+    const tempPdfDir = path.join(jobOutputDir, 'temp_pages');
+
+    // Update status to processing when actually starting (a resumed job may render with a newer renderer)
+    updateJob(jobId, { status: 'processing', renderer: rendererInfo });
+
+    try {
+        // Uploaded images are protected from eviction while the job is unfinished; this catches files removed by hand
+        const assetHashes = job.assetHashes || [];
+        const missingAssets = assetStore.findMissing(assetHashes);
+        if (missingAssets.length > 0) {
+            throw new Error(`${missingAssets.length} uploaded images are no longer on the server. Upload them again and re-export.`);
         }
-        return cs;
-    });
-    console.log('[Puppeteer] Canvas Computed Styles in Puppeteer:', canvasComputedStyles);
-
-    // CRITICAL: Fix text shadows with blur and offsets for export
-    console.log('[Puppeteer] Applying text shadow fixes for export...');
-    await page.evaluate(() => {
-      // Find all text elements with shadows and ensure their effects are preserved
-      const textElements = document.querySelectorAll('.text-content[data-has-shadow="true"]');
-      console.log(`[Page] Found ${textElements.length} text elements with shadows`);
-      
-      textElements.forEach((element, index) => {
-        const shadowColor = element.getAttribute('data-shadow-color') || '#666666';
-        const shadowX = element.getAttribute('data-shadow-x') || '2';
-        const shadowY = element.getAttribute('data-shadow-y') || '2';
-        const shadowBlur = element.getAttribute('data-shadow-blur') || '2';
-        
-        // Create the complete shadow string
-        const shadowValue = `${shadowX}px ${shadowY}px ${shadowBlur}px ${shadowColor}`;
+        await assetStore.touch(assetHashes);
+
+        await fs.ensureDir(tempPdfDir);
+        logger.info(`[Vite Server Job ${jobId}] Temporary directory for PDF pages: ${tempPdfDir}`);
         
-        // Set as CSS custom property for the export CSS to use
-        element.style.setProperty('--export-text-shadow', shadowValue);
+        const pagePaths = [];
+
+        // Indices into projectState.pages to render; page numbers in progress and file names stay the original ones
+        const pageIndices = exportOptions.pageIndices || projectState.pages.map((_, index) => index);
+
+        // Process pages in batches to manage memory
+        const BATCH_SIZE = 5;
+        const batches = [];
         
-        // Also set the inline style as backup
-        element.style.textShadow = shadowValue;
+        for (let i = 0; i < totalPages; i += BATCH_SIZE) {
+            batches.push(pageIndices.slice(i, i + BATCH_SIZE));
+        }
         
-        console.log(`[Page] Element ${index}: Applied shadow ${shadowValue}`);
-      });
-    });
-    console.log('[Puppeteer] Text shadow fixes applied.');
-
-    // Temporarily hide all elements except the comic canvas and its parents/ancestors
-    await page.evaluate(() => {
-        const canvas = document.querySelector('#comic-canvas');
-        if (!canvas) return;
+        logger.info(`[Vite Server Job ${jobId}] Processing ${totalPages} pages${exportOptions.pageRange ? ` (pages ${exportOptions.pageRange})` : ''} in ${batches.length} batches of ${BATCH_SIZE}`);
+
+        // Single-page PDFs for the PDF format, page images for CBZ/EPUB/ZIP
+        const pageExtension = exportOptions.imageFormat ? IMAGE_FORMATS[exportOptions.imageFormat].extension : 'pdf';
+        const resolution = resolveRenderResolution(exportOptions, projectState);
+        const renderOptions = {
+            outputMode: exportOptions.outputMode,
+            imageFormat: exportOptions.imageFormat,
+            imageQuality: exportOptions.imageQuality,
+            viewport: resolution.viewport,
+            assetDir: assetStore.storeDir,
+            signal,
+            collectImageMetrics: false
+        };
+        logger.info(`[Vite Server Job ${jobId}] Rendering at deviceScaleFactor ${resolution.deviceScaleFactor} (${resolution.pixelWidth}x${resolution.pixelHeight}px, ${resolution.pageDpi} DPI)`);
+
+        // Print preset: check the rendered resolution and source images against minDpi
+        const printOptions = exportOptions.print;
+        const printLayout = resolution.printLayout;
+        if (printOptions) {
+            renderOptions.collectImageMetrics = true;
+
+            if (printLayout.croppedFraction > 0.02 && job.completedPages.length === 0) {
+                addJobWarning(jobId, {
+                    type: 'aspect-ratio',
+                    message: `Canvas aspect ratio differs from the ${printOptions.trimWidth}x${printOptions.trimHeight}in trim; ${Math.round(printLayout.croppedFraction * 100)}% of each page will be cropped to fill the bleed`
+                });
+            }
 
-        // Function to apply style to an element and store its original style
-        const setStyle = (element, styleProperty, value) => {
-            if (!element.dataset.originalInlineStyle) {
-                element.dataset.originalInlineStyle = element.getAttribute('style') || '';
+            if (exportOptions.outputMode === 'raster') {
+                const { pageDpi } = resolution;
+                if (pageDpi < printOptions.minDpi && job.completedPages.length === 0) {
+                    addJobWarning(jobId, {
+                        type: 'page-resolution',
+                        message: `Rendered pages reach only ${pageDpi} DPI at this trim size (minimum ${printOptions.minDpi}). Use outputMode "vector" for sharper text`
+                    });
+                }
             }
-            element.style.setProperty(styleProperty, value, 'important');
+        }
+
+        // Everything besides the page itself that changes how it renders, for the render cache
+        const renderCacheSettings = {
+            comicCreatorUrl,
+            rendererVersion: rendererInfo.version,
+            cacheVersion: RENDER_CACHE_VERSION,
+            outputMode: renderOptions.outputMode,
+            imageFormat: renderOptions.imageFormat,
+            imageQuality: renderOptions.imageQuality,
+            viewport: renderOptions.viewport,
+            collectImageMetrics: renderOptions.collectImageMetrics
         };
+        const useRenderCache = exportOptions.renderCache !== false && renderCache.enabled;
+        
+        for (const batch of batches) {
+            logger.info(`[Vite Server Job ${jobId}] Processing batch: pages ${batch.map(index => index + 1).join(', ')}`);
+            
+            // Process batch
+            for (const i of batch) {
+                setLogContext({ page: i + 1 });
+                const tempPagePath = path.join(tempPdfDir, `page_${i + 1}.${pageExtension}`);
+
+                // Pages finished before a restart are already on disk
+                if (job.completedPages.includes(i) && await fs.pathExists(tempPagePath)) {
+                    logger.debug(`[Vite Server Job ${jobId}] Page ${i + 1} already rendered before restart, skipping`);
+                    pagePaths.push(tempPagePath);
+                    continue;
+                }
 
-        // Hide all direct children of body initially
-        const bodyChildren = Array.from(document.body.children);
-        bodyChildren.forEach(child => {
-            // Check if the child is the canvas itself or contains the canvas
-            if (child !== canvas && !child.contains(canvas)) {
-                setStyle(child, 'display', 'none');
-            } else {
-                // If it's an ancestor or the canvas itself, ensure it's visible
-                // and remove any transformations that might affect its position for capture
-                let current = child;
-                while (current && current !== document.body) {
-                    setStyle(current, 'display', 'block'); // Or initial, or revert to original display
-                    setStyle(current, 'transform', 'none');
-                    setStyle(current, 'position', 'static'); // Temporarily make static if it helps isolate
-                    if (current === canvas.parentElement) {
-                         setStyle(current, 'position', 'relative'); // Ensure parent is relative for absolute children if any
+                // Let a more urgent or smaller job render first if one is waiting
+                throwIfCancelled(signal);
+                await exportQueue.checkpoint(jobId, getRemainingPages(job), signal);
+                throwIfCancelled(signal);
+                updateJob(jobId, { currentPage: i + 1 });
+                logger.info(`[Vite Server Job ${jobId}] Processing page ${i + 1} (${job.completedPages.length + 1} of ${totalPages})...`);
+                
+                const singlePageProjectState = createSinglePageProjectState(projectState, i);
+
+                // A page unchanged since an earlier export (content, images and settings) is copied from the render cache.
+                // Hashing serializes the page's images, so it is skipped when the cache is off
+                const pageHash = useRenderCache ? hashRenderedPage(singlePageProjectState, renderCacheSettings) : null;
+                const cachedPage = pageHash ? await renderCache.restore(pageHash, tempPagePath) : null;
+                if (pageHash) {
+                    pageCacheTotal.inc({ result: cachedPage ? 'hit' : 'miss' });
+                }
+                let imageMetrics;
+                let pageDurationMs = null;
+                if (cachedPage) {
+                    logger.debug(`[Vite Server Job ${jobId}] Page ${i + 1} unchanged, copied from the render cache`);
+                    imageMetrics = cachedPage.imageMetrics;
+                } else {
+                    logger.debug(`[Vite Server Job ${jobId}] Rendering page ${i + 1} (${RENDER_MODE})... Output: ${tempPagePath}`);
+                    const pageStartedAt = Date.now();
+                    ({ imageMetrics } = await renderPage(comicCreatorUrl, jobOutputDir, singlePageProjectState, tempPagePath, renderOptions));
+                    pageDurationMs = Date.now() - pageStartedAt;
+                    if (pageHash) {
+                        await renderCache.store(pageHash, tempPagePath, { imageMetrics: imageMetrics || null });
                     }
-                    current = current.parentElement;
                 }
+                pagePaths.push(tempPagePath);
+
+                if (printLayout && imageMetrics) {
+                    imageMetrics
+                        .filter(image => image.displayWidth > 0 && image.displayHeight > 0)
+                        .forEach(image => {
+                            const effectiveDpi = getEffectiveDpi(image, printLayout.artScale);
+                            if (effectiveDpi < printOptions.minDpi) {
+                                addJobWarning(jobId, {
+                                    type: 'low-dpi-image',
+                                    page: i + 1,
+                                    imageKind: image.kind,
+                                    effectiveDpi,
+                                    message: `Page ${i + 1}: ${image.kind} image prints at ${effectiveDpi} DPI (minimum ${printOptions.minDpi})`
+                                });
+                            }
+                        });
+                }
+                if (cachedPage) {
+                    updateJob(jobId, {
+                        completedPages: [...job.completedPages, i],
+                        cachedPages: (job.cachedPages || 0) + 1
+                    });
+                } else {
+                    pageRenderSeconds.observe(pageDurationMs / 1000, { output_mode: exportOptions.outputMode || 'raster' });
+                    updateJob(jobId, {
+                        completedPages: [...job.completedPages, i],
+                        ...recordPageRenderTime(jobId, pageDurationMs)
+                    });
+                }
+                notifyQueuedJobs();
+                logger.debug(`[Vite Server Job ${jobId}] Successfully captured page ${i + 1} to ${tempPagePath}`);
             }
-        });
-        // Ensure the canvas itself is correctly positioned and sized for capture
-        setStyle(canvas, 'position', 'absolute'); 
-        setStyle(canvas, 'top', '0px');
-        setStyle(canvas, 'left', '0px');
-        setStyle(canvas, 'margin', '0');
-        setStyle(canvas, 'transform', 'none'); // Remove any transforms
-        
-        // Ensure body and html have no margin/padding that could offset the canvas
-        setStyle(document.body, 'margin', '0');
-        setStyle(document.body, 'padding', '0');
-        setStyle(document.documentElement, 'margin', '0');
-        setStyle(document.documentElement, 'padding', '0');
-    });
-    console.log('[Puppeteer] Temporarily hid non-canvas elements.');
-
-    // Get the exact bounding box of the comic-canvas AFTER applying styles
-      const boundingBox = await page.evaluate(() => {
-        const canvas = document.querySelector('#comic-canvas');
-        if (!canvas) return null;
-        // Force a reflow to ensure styles are applied and dimensions are correct
-        canvas.offsetHeight;
-        const rect = canvas.getBoundingClientRect();
-        return {
-          x: Math.round(rect.left),
-          y: Math.round(rect.top),
-            width: Math.round(rect.width), // Use the actual rendered width of the canvas
-            height: Math.round(rect.height), // Use the actual rendered height of the canvas
-            // actualWidth: Math.round(rect.width), // Redundant now
-            // actualHeight: Math.round(rect.height) // Redundant now
-        };
-      });
-
-      if (!boundingBox) {
-        console.error('[Puppeteer] Could not find #comic-canvas for bounding box after style changes.');
-        // Attempt to restore styles before throwing error
-        await page.evaluate(() => { /* ... style restoration logic ... */ });
-        throw new Error('Could not find #comic-canvas for screenshot bounding box.');
-      }
-    console.log(`[Puppeteer] Canvas bounding box for PDF: x=${boundingBox.x}, y=${boundingBox.y}, width=${boundingBox.width}, height=${boundingBox.height}. Actual on-page w/h: ${boundingBox.width}x${boundingBox.height}`);
-
-    // const tempImageDir = path.join(outputDirectory, 'temp_export_images'); // Not used for PDF
-    // await fs.mkdir(tempImageDir, { recursive: true }); // Not used for PDF
-
-    // console.log('[Puppeteer] Generating PDF for #comic-canvas...'); // Old log
-    // await page.pdf({ // OLD METHOD
-    //     path: outputPdfPath,
-    //     // format: 'A4', // Remove format to use width/height
-    //     printBackground: true,
-    //     width: `${boundingBox.width}px`, // Use canvas width
-    //     height: `${boundingBox.height}px`, // Use canvas height
-    //     margin: { top: '0px', right: '0px', bottom: '0px', left: '0px' },
-    //     scale: 1,
-    //     clip: {
-    //         x: boundingBox.x,
-    //         y: boundingBox.y,
-    //         width: boundingBox.width,
-    //         height: boundingBox.height
-    //     },
-    //     timeout: 120000
-    // });
-    // console.log(`[Puppeteer] PDF for current page's canvas exported successfully to ${outputPdfPath}`); // Old log
-
-    console.log('[Puppeteer] Taking screenshot of #comic-canvas...');
-    const pngScreenshotBuffer = await page.screenshot({
-        clip: {
-            x: boundingBox.x,
-            y: boundingBox.y,
-            width: boundingBox.width, // Use calculated boundingBox width for the clip
-            height: boundingBox.height // Use calculated boundingBox height for the clip
-        },
-        type: 'png',
-        omitBackground: false // Set to false to include canvas background; true if it should be transparent and handled by PDF bg
-    });
-    console.log('[Puppeteer] Screenshot taken.');
-
-    console.log('[Puppeteer] Creating PDF with embedded screenshot...');
-    const pdfDoc = await PDFDocument.create();
-    let pdfPageWidth = projectState.canvasWidth || 700; // Fallback if undefined
-    let pdfPageHeight = projectState.canvasHeight || 700; // Fallback if undefined
-
-    console.log(`[Puppeteer] PDF Page Dimensions: Width=${pdfPageWidth}, Height=${pdfPageHeight}`);
-
-    const pageOfPdf = pdfDoc.addPage([pdfPageWidth, pdfPageHeight]);
-    
-    const pngImage = await pdfDoc.embedPng(pngScreenshotBuffer);
-
-    // Draw the image to fill the PDF page. 
-    // The image itself was clipped to the canvas dimensions.
-    pageOfPdf.drawImage(pngImage, {
-        x: 0,
-        y: 0, 
-        width: pdfPageWidth,  // Scale image to fill the PDF page width
-        height: pdfPageHeight, // Scale image to fill the PDF page height
-    });
-
-    const pdfBytes = await pdfDoc.save();
-    await fs.writeFile(outputPdfPath, pdfBytes);
-    console.log(`[Puppeteer] PDF with screenshot for current page saved to ${outputPdfPath}`);
-
+            setLogContext({ page: undefined });
+            
+            // Force garbage collection between batches if available
+            if (global.gc) {
+                logger.debug(`[Vite Server Job ${jobId}] Running garbage collection after batch`);
+                global.gc();
+            }
+            
+            // Small delay between batches to allow memory cleanup
+            if (batch !== batches[batches.length - 1]) {
+                logger.debug(`[Vite Server Job ${jobId}] Pausing 1 second before next batch`);
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
 
-    // Restore visibility of hidden elements
-    await page.evaluate(() => {
-        const elementsWithOriginalStyle = document.querySelectorAll('[data-original-inline-style]');
-        elementsWithOriginalStyle.forEach(el => {
-            el.setAttribute('style', el.dataset.originalInlineStyle);
-            el.removeAttribute('data-original-inline-style');
-        });
-        // Also restore body and html if modified directly and not via dataset
-        document.body.style.margin = ''; 
-        document.body.style.padding = ''; 
-        document.documentElement.style.margin = '';
-        document.documentElement.style.padding = '';
+        // CBZ/EPUB/ZIP: package the page images, there is nothing to merge or compress
+        if (exportOptions.format !== 'pdf') {
+            logger.info(`[Vite Server Job ${jobId}] All pages processed. Packaging as ${exportOptions.format}...`);
+            throwIfCancelled(signal);
+            updateJob(jobId, { status: 'packaging' });
+            const archivePath = path.join(jobOutputDir, `comic_export_${exportTimestamp}${getPageRangeSuffix(exportOptions)}.${EXPORT_FORMATS[exportOptions.format].extension}`);
+            await packagePages(exportOptions, pagePaths, archivePath, projectState, pageIndices.map(index => index + 1));
+            await fs.remove(path.join(jobOutputDir, 'project-state.json'));
+            throwIfCancelled(signal);
+            const storage = await storeExport(jobId, archivePath, signal);
+            throwIfCancelled(signal);
+            updateJob(jobId, { status: 'complete', finalOutputPath: archivePath, storage });
+            await removeStoredOutputDir(jobId);
+            logger.info(`[Vite Server Job ${jobId}] Export process completed successfully. Final file: ${archivePath}`);
+            return;
+        }
 
-    });
-    console.log('[Puppeteer] Restored non-canvas element visibility.');
+        logger.info(`[Vite Server Job ${jobId}] All pages processed. Starting PDF merge...`);
+        throwIfCancelled(signal);
+        updateJob(jobId, { status: 'merging' });
+        const finalPdfPath = path.join(jobOutputDir, `comic_export_${exportTimestamp}${getPageRangeSuffix(exportOptions)}.pdf`);
+        const mergeStartedAt = Date.now();
+        await mergePdfs(pagePaths, finalPdfPath, printOptions, pageIndices.map(index => index + 1));
+        mergeSeconds.observe((Date.now() - mergeStartedAt) / 1000);
+        logger.info(`[Vite Server Job ${jobId}] Final PDF merged and saved to ${finalPdfPath}`);
+
+        // Check if compression is requested (and not turned off server-side with PDF_COMPRESSION_ENGINE=none)
+        if (exportOptions.shouldCompress && pdfCompressionService.isEnabled()) {
+            logger.info(`[Vite Server Job ${jobId}] Compression requested. Starting PDF compression...`);
+            throwIfCancelled(signal);
+            updateJob(jobId, { status: 'compressing' });
+            
+            const compressedPdfPath = path.join(jobOutputDir, `comic_export_compressed_${exportTimestamp}${getPageRangeSuffix(exportOptions)}.pdf`);
+            const compressionOptions = { 
+                compression_level: exportOptions.compressionLevel
+            }; 
+            logger.info(`[Vite Server Job ${jobId}] Using compression options:`, compressionOptions);
+
+            const compressionStartedAt = Date.now();
+            const compressionResult = await pdfCompressionService.compressPDF(
+                finalPdfPath, 
+                compressedPdfPath,
+                compressionOptions
+            );
+            compressionSeconds.observe((Date.now() - compressionStartedAt) / 1000, { engine: compressionResult.engine || 'unknown' });
+            if (compressionResult.success && compressionResult.originalSize > 0) {
+                compressionRatio.observe(compressionResult.compressedSize / compressionResult.originalSize, { engine: compressionResult.engine });
+            }
+            
+            job.compressionInfo = {
+                success: compressionResult.success,
+                engine: compressionResult.engine,
+                originalSize: compressionResult.originalSize,
+                compressedSize: compressionResult.compressedSize,
+                compressionRatio: compressionResult.compressionRatio,
+                error: compressionResult.error,
+                fallback_used: !!compressionResult.fallback_used,
+                fallback_failed: !!compressionResult.fallback_failed,
+                fallback_impossible: !!compressionResult.fallback_impossible,
+                skipped: false
+            };
+
+            if (compressionResult.success) {
+                job.finalPdfPath = compressedPdfPath;
+                logger.info(`[Vite Server Job ${jobId}] PDF compression successful. Compressed file: ${compressedPdfPath}`);
+            } else if (compressionResult.fallback_used) {
+                job.finalPdfPath = compressedPdfPath;
+                logger.warn(`[Vite Server Job ${jobId}] PDF compression failed, but fallback to original file was successful. Path: ${compressedPdfPath}. Reason: ${compressionResult.error}`);
+            } else {
+                job.finalPdfPath = finalPdfPath;
+                const criticalErrorMsg = `PDF compression failed completely. Using uncompressed file. Compression error: ${compressionResult.error}`;
+                logger.error(`[Vite Server Job ${jobId}] ${criticalErrorMsg}`);
+                job.compressionInfo.error = criticalErrorMsg;
+            }
+        } else {
+            logger.info(`[Vite Server Job ${jobId}] No compression requested (or compression disabled). Using uncompressed PDF.`);
+            job.finalPdfPath = finalPdfPath;
+            job.compressionInfo = {
+                success: true,
+                originalSize: null,
+                compressedSize: null,
+                compressionRatio: null,
+                error: null,
+                fallback_used: false,
+                fallback_failed: false,
+                fallback_impossible: false,
+                skipped: true
+            };
+        }
 
-    return outputPdfPath;
+        // The saved state is only needed to resume an unfinished job
+        await fs.remove(path.join(jobOutputDir, 'project-state.json'));
 
-  } catch (error) {
-    console.error('[Puppeteer] Error during export:', error);
-    
-    // IMPROVED ERROR HANDLING - Don't try to screenshot if page is closed
-    try {
-      if (page && !page.isClosed()) {
-        console.log('[Puppeteer] Page still open, attempting error screenshot...');
-        const errorScreenshot = await page.screenshot({ 
-          fullPage: true,
-          timeout: 5000 // Short timeout for error screenshot
-        });
-        const errorScreenshotPath = path.join(outputDirectory, 'error-screenshot.png');
-        await fs.writeFile(errorScreenshotPath, errorScreenshot);
-        console.log(`[Puppeteer] Error screenshot saved to: ${errorScreenshotPath}`);
-      } else {
-        console.log('[Puppeteer] Page is closed or undefined, skipping error screenshot');
-      }
-    } catch (screenshotError) {
-      console.error('[Puppeteer] Failed to save error screenshot:', screenshotError.message);
-    }
-    throw error;
-  } finally {
-    // IMPROVED CLEANUP
-    try {
-      if (page && !page.isClosed()) {
-        console.log('[Puppeteer] Closing page...');
-        await page.close();
-        console.log('[Puppeteer] Page closed successfully');
-      }
-    } catch (pageCloseError) {
-      console.error('[Puppeteer] Error closing page:', pageCloseError.message);
-    }
+        throwIfCancelled(signal);
+        const storage = await storeExport(jobId, job.finalPdfPath, signal);
 
-    try {
-      if (browser && browser.process() && !browser.process().killed) {
-        console.log('[Puppeteer] Closing browser...');
-        await browser.close();
-        console.log('[Puppeteer] Browser closed successfully');
-      }
-    } catch (browserCloseError) {
-      console.error('[Puppeteer] Error closing browser:', browserCloseError.message);
-    }
+        // Mark job as complete
+        throwIfCancelled(signal);
+        updateJob(jobId, { status: 'complete', finalOutputPath: job.finalPdfPath, storage });
+        await removeStoredOutputDir(jobId);
+        logger.info(`[Vite Server Job ${jobId}] Export process completed successfully. Final PDF: ${job.finalPdfPath}`);
 
-    // Force garbage collection if available
-    if (global.gc) {
-      console.log('[Puppeteer] Running garbage collection...');
-      global.gc();
+    } catch (error) {
+        // Left the page loop early: the page context belongs to the page that failed, which logged its own error
+        setLogContext({ page: undefined });
+        if (signal?.aborted) {
+            await finishCancelledJob(jobId);
+            return;
+        }
+        logger.error(`[Vite Server Job ${jobId}] Export process failed:`, error);
+        updateJob(jobId, { status: 'error', error: error.message });
     }
-  }
 }
 
-async function mergePdfs(pdfFilePaths, finalOutputPath) {
-    console.log(`[PDFMerge] Starting to merge ${pdfFilePaths.length} PDF files into ${finalOutputPath}`);
-    const mergedPdf = await PDFDocument.create();
-    for (const filePath of pdfFilePaths) {
-        try {
-            console.log(`[PDFMerge] Reading PDF: ${filePath}`);
-            const pdfBytes = await fs.readFile(filePath);
-            const pdfDoc = await PDFDocument.load(pdfBytes);
-            const copiedPages = await mergedPdf.copyPages(pdfDoc, pdfDoc.getPageIndices());
-            copiedPages.forEach((page) => {
-                mergedPdf.addPage(page);
-                console.log(`[PDFMerge] Added page from ${filePath}`);
-            });
-        } catch (err) {
-            console.error(`[PDFMerge] Error processing file ${filePath}:`, err);
-            // Optionally, decide if one failed page should stop the whole process
+// Reload persisted jobs and requeue the ones that never finished, oldest first
+async function restoreJobs(comicCreatorUrl) {
+    const jobs = await jobStore.loadJobs();
+    jobs.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+    let resumed = 0;
+    for (const job of jobs) {
+        exportJobs[job.id] = job;
+        if (job.status === 'cancelling') {
+            // Cancelled just before the restart: finish the cancellation instead of resuming
+            await finishCancelledJob(job.id);
+        } else if (FINISHED_STATUSES.includes(job.status) && UNDELIVERED_CALLBACK_STATES.includes(job.callback?.status)) {
+            // Finished, but its webhook was still being delivered
+            logger.info(`[JobStore] Resuming webhook delivery for job ${job.id} (${job.callback.attempts.length} attempts so far)`);
+            notifyCallback(job.id);
+        } else if (UNFINISHED_STATUSES.includes(job.status)) {
+            logger.info(`[JobStore] Resuming job ${job.id} (was ${job.status}, ${job.completedPages.length}/${job.totalPages} pages done)`);
+            updateJob(job.id, { status: 'queued', resumed: true });
+            enqueueExportJob(job.id, null, comicCreatorUrl);
+            updateJob(job.id, { queuePosition: exportQueue.getPosition(job.id) });
+            resumed++;
         }
     }
-    const mergedPdfBytes = await mergedPdf.save();
-    await fs.writeFile(finalOutputPath, mergedPdfBytes);
-    console.log(`[PDFMerge] Merged PDF saved successfully to ${finalOutputPath}`);
+    logger.info(`[JobStore] Restored ${jobs.length} jobs, resumed ${resumed} unfinished`);
 }
 
-
 // Your Express router POST handler
 // Make sure this is how your router is defined. If it's app.post, use that.
 // Example: const router = express.Router();
@@ -826,10 +1397,43 @@ async function mergePdfs(pdfFilePaths, finalOutputPath) {
 // app.post('/api/export-pdf', async (req, res) => { ... });
 // For this example, I'll assume it's part of a router object passed to this module.
 
-export default function configurePuppeteerExport(router, comicCreatorUrl, outputDirBase) {
+export default async function configurePuppeteerExport(router, comicCreatorUrl, outputDirBase, renderer = null) {
+
+    configureProgressEvents(router, getJobProgress, (req, jobId) => userCanAccessJob(req.user, jobId));
 
-    router.post('/export-pdf', async (req, res) => {
-        console.log('[Vite Server/PuppeteerModule] Received POST request for /export-pdf');
+    outputDirectory = outputDirBase;
+    if (renderer) {
+        rendererInfo = { source: renderer.source, version: renderer.version };
+    }
+    await loadOutputProfile(); // Fails startup on a bad PRINT_ICC_PROFILE
+    jobStore = createJobStore(outputDirBase);
+    await jobStore.init();
+    usageQuotas = new UsageQuotas(jobStore);
+    await usageQuotas.init();
+    exportStorage = createExportStorage();
+    assetStore = new AssetStore(process.env.ASSET_STORE_DIR || path.join(outputDirBase, 'assets'), getAssetsInUse);
+    await assetStore.init();
+    renderCache = new RenderCache(process.env.RENDER_CACHE_DIR || path.join(outputDirBase, 'render-cache'), rendererInfo.version);
+    await renderCache.init();
+    configureAssetRoutes(router, assetStore);
+    configureExportSessions(router, exportSessions, assetStore);
+    try {
+        await restoreJobs(comicCreatorUrl);
+        jobsRestored = true;
+    } catch (error) {
+        logger.error('[JobStore] Failed to restore jobs:', error);
+    }
+    // Startup sweep: jobs that expired and directories orphaned while the server was down
+    await runCleanup().catch(error => logger.error('[JobCleanup] Startup cleanup failed:', error));
+
+    const exportHandler = async (req, res) => {
+        logger.info(`[Vite Server/PuppeteerModule] Received POST request for ${req.path}`);
+
+        // Submitted through an upload session: its images are already in the asset store
+        const uploadSession = req.params.sessionId ? exportSessions.findAuthorized(req, res) : null;
+        if (req.params.sessionId && !uploadSession) {
+            return;
+        }
         
         // CHECK MEMORY BEFORE ACCEPTING REQUEST
         const memUsage = process.memoryUsage();
@@ -838,11 +1442,12 @@ export default function configurePuppeteerExport(router, comicCreatorUrl, output
             heapTotal: Math.round(memUsage.heapTotal / 1024 / 1024),
             rss: Math.round(memUsage.rss / 1024 / 1024)
         };
-        console.log('[Export Request] Current memory usage:', memUsageMB);
+        logger.info('[Export Request] Current memory usage:', memUsageMB);
         
-        // Reject if memory usage is too high (threshold: 800MB of 1GB)
-        if (memUsageMB.rss > 800) {
-            console.error('[Export Request] Memory usage too high, rejecting request');
+        // Reject if memory usage is too high (EXPORT_REJECT_MEMORY_MB, 800MB of 1GB by default)
+        if (memUsageMB.rss > REJECT_MEMORY_MB) {
+            logger.error('[Export Request] Memory usage too high, rejecting request');
+            rejectedRequestsTotal.inc({ reason: 'memory' });
             return res.status(503).json({ 
                 error: 'Server temporarily overloaded. Please try again in a few moments.',
                 memoryUsage: memUsageMB
@@ -851,287 +1456,441 @@ export default function configurePuppeteerExport(router, comicCreatorUrl, output
 
         // CHECK QUEUE STATUS
         const queueLength = exportQueue.getQueueLength();
-        console.log(`[Export Request] Current queue length: ${queueLength}`);
+        logger.info(`[Export Request] Current queue length: ${queueLength}`);
         
-        // Reject if queue is too long (max 3 pending requests)
-        if (queueLength >= 3) {
-            console.error('[Export Request] Queue too long, rejecting request');
+        // Reject if queue is too long (EXPORT_MAX_QUEUE pending requests)
+        if (queueLength >= MAX_QUEUED_EXPORTS) {
+            logger.error('[Export Request] Queue too long, rejecting request');
+            rejectedRequestsTotal.inc({ reason: 'queue_full' });
             return res.status(503).json({ 
                 error: 'Server is busy processing other exports. Please try again later.',
                 queueLength: queueLength
             });
         }
 
-        const projectState = req.body;
+        let projectState = req.body;
         const jobId = uuidv4();
         const exportTimestamp = Date.now(); // Keep for unique folder naming
         const jobOutputDir = path.join(outputDirBase, `export_${exportTimestamp}_${jobId}`); // Add jobId for more uniqueness
-        const tempPdfDir = path.join(jobOutputDir, 'temp_pages');
 
-        if (!projectState || !projectState.pages || projectState.pages.length === 0) {
-            console.error('[Vite Server] Invalid or empty project state received.');
-            return res.status(400).send('Invalid or empty project state.');
+        // Older project versions are upgraded; malformed states and missing images are refused
+        const checked = checkSubmittedProject(projectState);
+        if (checked.rejection) {
+            if (checked.rejection.status === 400) {
+                rejectedRequestsTotal.inc({ reason: 'validation' });
+            }
+            return res.status(checked.rejection.status).json(checked.rejection.body);
+        }
+        projectState = checked.projectState;
+
+        let exportOptions;
+        let callbackUrl;
+        try {
+            exportOptions = resolveExportOptions(projectState);
+            callbackUrl = validateCallbackUrl(projectState.callbackUrl ?? projectState.exportOptions?.callbackUrl);
+        } catch (error) {
+            logger.error(`[Vite Server] Invalid export options received: ${error.message}`);
+            rejectedRequestsTotal.inc({ reason: 'validation' });
+            return res.status(400).json({ error: error.message });
+        }
+
+        // Only the selected pages are rendered (pageRange / pageIndices)
+        const totalPages = exportOptions.pageIndices ? exportOptions.pageIndices.length : projectState.pages.length;
+
+        // Reject resolutions whose page rasters alone would not fit in memory
+        const resolution = resolveRenderResolution(exportOptions, projectState);
+        if (resolution.estimatedPageMemoryMB > MAX_PAGE_RASTER_MB) {
+            logger.error(`[Export Request] Requested resolution too high: ${resolution.pixelWidth}x${resolution.pixelHeight}px needs ~${resolution.estimatedPageMemoryMB}MB per page`);
+            rejectedRequestsTotal.inc({ reason: 'validation' });
+            return res.status(413).json({
+                error: `Requested resolution is too high for this canvas size (${resolution.pixelWidth}x${resolution.pixelHeight}px per page). Lower dpi or scale.`,
+                estimatedPageMemory: resolution.estimatedPageMemoryMB,
+                maxPageMemory: MAX_PAGE_RASTER_MB,
+                maxDpi: resolution.maxDpi
+            });
         }
         
-        const totalPages = projectState.pages.length;
-        
-        // Estimate memory needed for this export (adjusted for 1GB droplet: 10MB per page + 100MB base)
-        const estimatedMemoryMB = (totalPages * 10) + 100;
-        console.log(`[Export Request] Estimated memory needed: ${estimatedMemoryMB}MB for ${totalPages} pages`);
+        // Estimate memory needed for this export (adjusted for 1GB droplet: 10MB per page + 100MB base + one page raster)
+        const estimatedMemoryMB = (totalPages * 10) + 100 + resolution.estimatedPageMemoryMB;
+        logger.info(`[Export Request] Estimated memory needed: ${estimatedMemoryMB}MB for ${totalPages} pages at ${resolution.pixelWidth}x${resolution.pixelHeight}px`);
         
         // Check if we have enough memory headroom
         const currentMemory = memUsageMB.rss;
         const memoryAfterExport = currentMemory + estimatedMemoryMB;
         
-        // Adjusted threshold for 1GB droplet (was 900, now 750 to leave headroom)
-        if (memoryAfterExport > 750) {
-            console.error(`[Export Request] Export would exceed memory limits. Current: ${currentMemory}MB, Estimated need: ${estimatedMemoryMB}MB, Total: ${memoryAfterExport}MB`);
+        // EXPORT_MEMORY_LIMIT_MB (750 by default on a 1GB droplet, to leave headroom)
+        if (memoryAfterExport > EXPORT_MEMORY_LIMIT_MB) {
+            logger.error(`[Export Request] Export would exceed memory limits. Current: ${currentMemory}MB, Estimated need: ${estimatedMemoryMB}MB, Total: ${memoryAfterExport}MB`);
+            rejectedRequestsTotal.inc({ reason: 'memory' });
             return res.status(503).json({
                 error: 'Export too large for server memory. Please use client-side export or reduce comic size.',
                 estimatedMemory: estimatedMemoryMB,
                 currentMemory: currentMemory,
                 totalPages: totalPages,
-                suggestion: totalPages > 30 ? 'Try exporting in smaller sections' : 'Try client-side export'
+                suggestion: totalPages > 30 ? 'Try exporting in smaller sections with pageRange, e.g. "1-20"' : 'Try client-side export'
+            });
+        }
+
+        // Per-user daily quotas
+        const ownerId = req.user.id;
+        const quota = usageQuotas.consume(ownerId, totalPages);
+        if (!quota.allowed) {
+            logger.warn(`[Export Request] Quota exceeded for user ${ownerId}: ${quota.reason}`);
+            rejectedRequestsTotal.inc({ reason: 'quota' });
+            res.setHeader('Retry-After', String(quota.retryAfterSeconds));
+            return res.status(429).json({
+                error: quota.reason,
+                usage: quota.usage,
+                limits: quota.limits,
+                resetAt: quota.resetAt
             });
         }
+
         exportJobs[jobId] = {
             id: jobId,
+            ownerId: ownerId, // Only this user can see, cancel or download the job
             status: 'queued', // Changed from 'starting' to 'queued'
             currentPage: 0,
             totalPages: totalPages,
+            completedPages: [], // Page indices already rendered to temp_pages (used to resume after restart)
+            renderedPages: 0, // Pages rendered so far, for the per-page average
+            cachedPages: 0, // Pages copied from the render cache instead of rendered
+            averagePageMs: null, // Measured render time per page, used for the ETA
             finalPdfPath: null,
+            finalOutputPath: null, // File served by the download endpoints (PDF, CBZ, EPUB or ZIP)
             compressedPdfPath: null, // Add compressed PDF path
             compressionInfo: null, // Add compression statistics
             jobOutputDir: jobOutputDir, // Store for potential cleanup
+            exportTimestamp: exportTimestamp,
+            exportOptions: exportOptions, // Resolved options, kept so a resumed job renders the same way
+            projectVersion: checked.fromVersion, // Version the project was submitted with (upgraded before saving)
+            renderer: rendererInfo, // { source, version } of the renderer that draws the pages
+            warnings: [], // Non-fatal problems, e.g. images below the print minimum DPI
+            assetHashes: checked.assetHashes, // Uploaded images the job renders from; kept in the asset store until it finishes
+            // Webhook sent when the job finishes: delivery state and every attempt made
+            callback: callbackUrl ? {
+                url: callbackUrl,
+                baseUrl: (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, ''), // For the download link
+                status: 'pending',
+                attempts: []
+            } : null,
             error: null,
+            createdAt: exportTimestamp,
             lastUpdated: Date.now(),
-            queuePosition: queueLength + 1
+            queuePosition: null // Position when accepted; progress endpoints report the live one
         };
 
-        console.log(`[Vite Server] Job ${jobId} created. Total pages: ${totalPages}. Queue position: ${exportJobs[jobId].queuePosition}. Output dir: ${jobOutputDir}`);
+        // Persist the job and its project state before accepting it, so a restart can pick it up
+        try {
+            await jobStore.saveProjectState(exportJobs[jobId], projectState);
+            await jobStore.saveJob(exportJobs[jobId]);
+        } catch (error) {
+            logger.error(`[Vite Server] Failed to persist job ${jobId}:`, error);
+            delete exportJobs[jobId];
+            usageQuotas.refund(ownerId, totalPages);
+            await fs.remove(jobOutputDir).catch(() => {});
+            return res.status(500).json({ error: 'Could not save export job. Please try again.' });
+        }
+
+        if (uploadSession) {
+            exportSessions.close(uploadSession.id);
+        }
+
+        // Queue before answering so the response has the job's real place (priority can put it ahead of others)
+        enqueueExportJob(jobId, projectState, comicCreatorUrl);
+        updateJob(jobId, { queuePosition: exportQueue.getPosition(jobId) });
+
+        logger.info(`[Vite Server] Job ${jobId} created. Priority: ${exportOptions.priority}. Total pages: ${totalPages}${exportOptions.pageRange ? ` (pages ${exportOptions.pageRange})` : ''}. Format: ${exportOptions.format}. Output mode: ${exportOptions.outputMode}. Queue position: ${exportJobs[jobId].queuePosition}. Output dir: ${jobOutputDir}`);
         
         // Respond to the client immediately that the job has started
         res.status(202).json({ 
             jobId: jobId,
-            message: 'PDF export process queued.',
+            message: exportOptions.format === 'pdf' ? 'PDF export process queued.' : `${exportOptions.format.toUpperCase()} export process queued.`,
             totalPages: totalPages,
-            queuePosition: exportJobs[jobId].queuePosition
+            pageRange: exportOptions.pageRange,
+            priority: exportOptions.priority,
+            queuePosition: exportJobs[jobId].queuePosition,
+            resolution: {
+                width: resolution.pixelWidth,
+                height: resolution.pixelHeight,
+                deviceScaleFactor: resolution.deviceScaleFactor,
+                dpi: resolution.pageDpi
+            }
         });
+    };
 
-        // ADD TO QUEUE INSTEAD OF IMMEDIATE PROCESSING
-        exportQueue.add(async () => {
-            // Update status to processing when actually starting
-            exportJobs[jobId].status = 'processing';
-            exportJobs[jobId].lastUpdated = Date.now();
-            
-            try {
-                await fs.ensureDir(tempPdfDir);
-                console.log(`[Vite Server Job ${jobId}] Temporary directory for PDF pages: ${tempPdfDir}`);
-                
-                const individualPdfPaths = [];
+    router.post('/export-pdf', exportHandler);
 
-                // Process pages in batches to manage memory
-                const BATCH_SIZE = 5;
-                const batches = [];
-                
-                for (let i = 0; i < totalPages; i += BATCH_SIZE) {
-                    batches.push({
-                        start: i,
-                        end: Math.min(i + BATCH_SIZE, totalPages)
-                    });
-                }
-                
-                console.log(`[Vite Server Job ${jobId}] Processing ${totalPages} pages in ${batches.length} batches of ${BATCH_SIZE}`);
-                
-                for (const batch of batches) {
-                    console.log(`[Vite Server Job ${jobId}] Processing batch: pages ${batch.start + 1} to ${batch.end}`);
-                    
-                    // Process batch
-                    for (let i = batch.start; i < batch.end; i++) {
-                        exportJobs[jobId].currentPage = i + 1;
-                        exportJobs[jobId].lastUpdated = Date.now();
-                        console.log(`[Vite Server Job ${jobId}] Processing page ${i + 1} of ${totalPages}...`);
-                        
-                        const singlePageProjectState = createSinglePageProjectState(projectState, i);
-                        const tempPdfPath = path.join(tempPdfDir, `page_${i + 1}.pdf`);
-
-                        console.log(`[Vite Server Job ${jobId}] Calling capturePageAsImage for page ${i + 1}... Output: ${tempPdfPath}`);
-                        await capturePageAsImage(comicCreatorUrl, jobOutputDir, singlePageProjectState, tempPdfPath);
-                        individualPdfPaths.push(tempPdfPath);
-                        console.log(`[Vite Server Job ${jobId}] Successfully captured page ${i + 1} to ${tempPdfPath}`);
-                    }
-                    
-                    // Force garbage collection between batches if available
-                    if (global.gc) {
-                        console.log(`[Vite Server Job ${jobId}] Running garbage collection after batch`);
-                        global.gc();
-                    }
-                    
-                    // Small delay between batches to allow memory cleanup
-                    if (batch.end < totalPages) {
-                        console.log(`[Vite Server Job ${jobId}] Pausing 1 second before next batch`);
-                        await new Promise(resolve => setTimeout(resolve, 1000));
-                    }
-                }
+    // One page as a low-resolution image, rendered straight away rather than queued as an export
+    router.post('/preview', async (req, res) => {
+        const checked = checkSubmittedProject(req.body);
+        if (checked.rejection) {
+            return res.status(checked.rejection.status).json(checked.rejection.body);
+        }
+        const { projectState } = checked;
 
-                console.log(`[Vite Server Job ${jobId}] All pages processed. Starting PDF merge...`);
-                const finalPdfPath = path.join(jobOutputDir, `comic_export_${exportTimestamp}.pdf`);
-                await mergePdfs(individualPdfPaths, finalPdfPath);
-                console.log(`[Vite Server Job ${jobId}] Final PDF merged and saved to ${finalPdfPath}`);
-
-                // Check if compression is requested
-                const shouldCompress = projectState.shouldCompress !== undefined ? projectState.shouldCompress : true; // Default to true if not specified
-
-                if (shouldCompress) {
-                    console.log(`[Vite Server Job ${jobId}] Compression requested. Starting PDF compression...`);
-                    exportJobs[jobId].status = 'compressing';
-                    exportJobs[jobId].lastUpdated = Date.now();
-                    
-                    const compressedPdfPath = path.join(jobOutputDir, `comic_export_compressed_${exportTimestamp}.pdf`);
-                    const compressionOptions = { 
-                        compression_level: projectState.settings?.pdfExport?.compressionLevel || 'recommended' 
-                    }; 
-                    console.log(`[Vite Server Job ${jobId}] Using compression options:`, compressionOptions);
-
-                    const compressionResult = await pdfCompressionService.compressPDF(
-                        finalPdfPath, 
-                        compressedPdfPath,
-                        compressionOptions
-                    );
-                    
-                    exportJobs[jobId].compressionInfo = {
-                        success: compressionResult.success,
-                        originalSize: compressionResult.originalSize,
-                        compressedSize: compressionResult.compressedSize,
-                        compressionRatio: compressionResult.compressionRatio,
-                        error: compressionResult.error,
-                        fallback_used: !!compressionResult.fallback_used,
-                        fallback_failed: !!compressionResult.fallback_failed,
-                        fallback_impossible: !!compressionResult.fallback_impossible,
-                        skipped: false
-                    };
-
-                    if (compressionResult.success) {
-                        exportJobs[jobId].finalPdfPath = compressedPdfPath;
-                        console.log(`[Vite Server Job ${jobId}] PDF compression successful. Compressed file: ${compressedPdfPath}`);
-                    } else if (compressionResult.fallback_used) {
-                        exportJobs[jobId].finalPdfPath = compressedPdfPath;
-                        console.warn(`[Vite Server Job ${jobId}] PDF compression failed, but fallback to original file was successful. Path: ${compressedPdfPath}. Reason: ${compressionResult.error}`);
-                    } else {
-                        exportJobs[jobId].finalPdfPath = finalPdfPath;
-                        const criticalErrorMsg = `PDF compression failed completely. Using uncompressed file. Compression error: ${compressionResult.error}`;
-                        console.error(`[Vite Server Job ${jobId}] ${criticalErrorMsg}`);
-                        exportJobs[jobId].compressionInfo.error = criticalErrorMsg;
-                    }
-                } else {
-                    console.log(`[Vite Server Job ${jobId}] No compression requested. Using uncompressed PDF.`);
-                    exportJobs[jobId].finalPdfPath = finalPdfPath;
-                    exportJobs[jobId].compressionInfo = {
-                        success: true,
-                        originalSize: null,
-                        compressedSize: null,
-                        compressionRatio: null,
-                        error: null,
-                        fallback_used: false,
-                        fallback_failed: false,
-                        fallback_impossible: false,
-                        skipped: true
-                    };
-                }
+        let settings;
+        try {
+            settings = resolvePreviewOptions(projectState.preview || {}, projectState);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
 
-                // Mark job as complete
-                exportJobs[jobId].status = 'complete';
-                exportJobs[jobId].lastUpdated = Date.now();
-                console.log(`[Vite Server Job ${jobId}] Export process completed successfully. Final PDF: ${exportJobs[jobId].finalPdfPath}`);
+        const singlePageState = createSinglePageProjectState(projectState, settings.pageIndex);
+        const hash = hashPreview(singlePageState, { format: settings.format, width: settings.width, quality: settings.quality, rendererVersion: rendererInfo.version });
+        const sendPreview = (preview, cacheStatus) => {
+            res.setHeader('Content-Type', preview.contentType);
+            res.setHeader('ETag', `"${hash}"`);
+            res.setHeader('Cache-Control', 'private, max-age=3600');
+            res.setHeader('X-Preview-Cache', cacheStatus);
+            res.send(preview.body);
+        };
 
-            } catch (error) {
-                console.error(`[Vite Server Job ${jobId}] Export process failed:`, error);
-                exportJobs[jobId].status = 'error';
-                exportJobs[jobId].error = error.message;
-                exportJobs[jobId].lastUpdated = Date.now();
+        // Unchanged page: the client already has it, or it is still cached here
+        if (req.get('if-none-match') === `"${hash}"`) {
+            previewsTotal.inc({ result: 'cache_hit' });
+            return res.status(304).end();
+        }
+        const cached = previewCache.get(hash);
+        if (cached) {
+            previewsTotal.inc({ result: 'cache_hit' });
+            return sendPreview(cached, 'hit');
+        }
+
+        if (!pendingPreviews.has(hash)) {
+            if (pendingPreviews.size >= PREVIEW_MAX_CONCURRENT) {
+                previewsTotal.inc({ result: 'busy' });
+                res.setHeader('Retry-After', '5');
+                return res.status(503).json({ error: 'Too many previews are rendering. Please try again in a few seconds.' });
             }
-        });
+            if (Math.round(process.memoryUsage().rss / 1024 / 1024) > REJECT_MEMORY_MB) {
+                previewsTotal.inc({ result: 'busy' });
+                return res.status(503).json({ error: 'Server temporarily overloaded. Please try again in a few moments.' });
+            }
+        }
+
+        // New renders count against the user's daily preview limit; cached previews above are free, and
+        // so is joining an identical render already in progress
+        const startsRender = !pendingPreviews.has(hash);
+        if (startsRender) {
+            const quota = usageQuotas.consumePreview(req.user.id);
+            if (!quota.allowed) {
+                logger.warn(`[Preview] Quota exceeded for user ${req.user.id}: ${quota.reason}`);
+                previewsTotal.inc({ result: 'quota' });
+                rejectedRequestsTotal.inc({ reason: 'quota' });
+                res.setHeader('Retry-After', String(quota.retryAfterSeconds));
+                return res.status(429).json({ error: quota.reason, usage: quota.usage, limits: quota.limits, resetAt: quota.resetAt });
+            }
+        }
+
+        try {
+            const startedAt = Date.now();
+            const preview = await renderPreview(hash, singlePageState, settings, comicCreatorUrl);
+            logger.info(`[Preview] Rendered page ${settings.pageIndex + 1} (${settings.width}px ${settings.format}) in ${Date.now() - startedAt}ms`);
+            previewsTotal.inc({ result: 'rendered' });
+            sendPreview(preview, 'miss');
+        } catch (error) {
+            logger.error(`[Preview] Failed to render page ${settings.pageIndex + 1}:`, error);
+            // A failed render doesn't count against the limit
+            if (startsRender) {
+                usageQuotas.refundPreview(req.user.id);
+            }
+            previewsTotal.inc({ result: 'failed' });
+            res.status(500).json({ error: `Preview failed: ${error.message}` });
+        }
     });
 
+    // Same handler; the name reads better for CBZ/EPUB/ZIP exports (set with `format`)
+    router.post('/export', exportHandler);
+
+    // Last step of the upload flow (see export-sessions.js): a light project state referencing uploaded images
+    router.post('/export-sessions/:sessionId/export', exportHandler);
+
+    // Look up a job for the requesting user, answering 404/403 when it can't be used
+    const findAuthorizedJob = (req, res) => {
+        const job = exportJobs[req.params.jobId];
+        if (!job) {
+            res.status(404).json({ error: 'Job not found' });
+            return null;
+        }
+        if (!canAccessJob(req.user, job)) {
+            logger.warn(`[Auth] User ${req.user.id} denied access to job ${job.id}`);
+            res.status(403).json({ error: 'You do not have access to this job' });
+            return null;
+        }
+        return job;
+    };
+
+    // Cancel a queued or running job
+    const cancelHandler = async (req, res) => {
+        const jobId = req.params.jobId;
+        const job = findAuthorizedJob(req, res);
+
+        if (!job) {
+            return;
+        }
+        if (!UNFINISHED_STATUSES.includes(job.status)) {
+            return res.status(409).json({
+                error: job.status === 'cancelling' ? 'Job is already being cancelled' : 'Job has already finished',
+                status: job.status
+            });
+        }
+
+        if (exportQueue.remove(jobId)) {
+            // Still waiting: it never started, so just drop it
+            jobControllers.get(jobId)?.abort();
+            await finishCancelledJob(jobId);
+            return res.json(getJobProgress(jobId));
+        }
+
+        // Running: stop between pages, or kill Chromium if a page is being rendered
+        logger.info(`[Vite Server Job ${jobId}] Cancellation requested while ${job.status}`);
+        updateJob(jobId, { status: 'cancelling' });
+        jobControllers.get(jobId)?.abort();
+        res.status(202).json(getJobProgress(jobId));
+    };
+
+    router.delete('/export/:jobId', cancelHandler);
+    router.post('/export-cancel/:jobId', cancelHandler);
+
     // Status check endpoint
+    // Schema submitted project states are checked against, for clients to validate before uploading
+    router.get('/project-schema', (req, res) => {
+        res.json(projectStateSchema);
+    });
+
     router.get('/export-status/:jobId', (req, res) => {
         const jobId = req.params.jobId;
-        const job = exportJobs[jobId];
         
-        if (!job) {
-            return res.status(404).json({ error: 'Job not found' });
+        if (!findAuthorizedJob(req, res)) {
+            return;
         }
         
-        res.json(job);
+        res.json(getJobProgress(jobId));
     });
 
     // Progress check endpoint (alias for export-status to match frontend expectations)
     router.get('/export-progress/:jobId', (req, res) => {
         const jobId = req.params.jobId;
-        const job = exportJobs[jobId];
         
-        if (!job) {
-            return res.status(404).json({ error: 'Job not found' });
+        if (!findAuthorizedJob(req, res)) {
+            return;
         }
         
-        res.json(job);
+        res.json(getJobProgress(jobId));
     });
 
     // Download endpoint
-    router.get('/download/:jobId', async (req, res) => {
+    const downloadHandler = async (req, res) => {
         const jobId = req.params.jobId;
-        const job = exportJobs[jobId];
+        const job = findAuthorizedJob(req, res);
         
         if (!job) {
-            return res.status(404).json({ error: 'Job not found' });
+            return;
         }
         
-        if (job.status !== 'complete' || !job.finalPdfPath) {
+        const location = getStoredLocation(job);
+        if (job.status !== 'complete' || !location) {
             return res.status(400).json({ 
-                error: 'PDF not ready for download',
+                error: 'Export not ready for download',
                 status: job.status 
             });
         }
         
         try {
-            const fileName = `comic_export_${Date.now()}.pdf`;
-            res.setHeader('Content-Type', 'application/pdf');
+            const storage = getStorageFor(location);
+            // Remote backends hand out a presigned URL so the file doesn't pass through this process
+            const presignedUrl = await storage.getDownloadUrl(location);
+            if (presignedUrl) {
+                return res.redirect(302, presignedUrl);
+            }
+
+            const outputFormat = EXPORT_FORMATS[job.exportOptions?.format || 'pdf'];
+            const fileName = `comic_export_${Date.now()}${getPageRangeSuffix(job.exportOptions || {})}.${outputFormat.extension}`;
+            const fileStream = await storage.createReadStream(location);
+            res.setHeader('Content-Type', outputFormat.contentType);
             res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-            
-            const fileStream = fs.createReadStream(job.finalPdfPath);
+            if (location.size) {
+                res.setHeader('Content-Length', location.size);
+            }
+            fileStream.on('error', (error) => {
+                logger.error(`[Download Job ${jobId}] Error streaming file:`, error);
+                res.destroy(error);
+            });
             fileStream.pipe(res);
         } catch (error) {
-            console.error(`[Download Job ${jobId}] Error serving file:`, error);
+            logger.error(`[Download Job ${jobId}] Error serving file:`, error);
             res.status(500).json({ error: 'Error serving file' });
         }
-    });
+    };
 
-    // Download PDF endpoint (alias for download to match frontend expectations)
-    router.get('/download-pdf/:jobId', async (req, res) => {
+    // Time-limited link to the finished file, for clients that want to hand the download to the browser.
+    // Local storage has no presigned URLs, so the API download URL is returned instead.
+    router.get('/download-url/:jobId', async (req, res) => {
         const jobId = req.params.jobId;
-        const job = exportJobs[jobId];
-        
+        const job = findAuthorizedJob(req, res);
+
         if (!job) {
-            return res.status(404).json({ error: 'Job not found' });
+            return;
         }
-        
-        if (job.status !== 'complete' || !job.finalPdfPath) {
-            return res.status(400).json({ 
-                error: 'PDF not ready for download',
-                status: job.status 
+
+        const location = getStoredLocation(job);
+        if (job.status !== 'complete' || !location) {
+            return res.status(400).json({
+                error: 'Export not ready for download',
+                status: job.status
             });
         }
-        
+
         try {
-            const fileName = `comic_export_${Date.now()}.pdf`;
-            res.setHeader('Content-Type', 'application/pdf');
-            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
-            
-            const fileStream = fs.createReadStream(job.finalPdfPath);
-            fileStream.pipe(res);
+            const expiresIn = PRESIGNED_URL_EXPIRES;
+            const presignedUrl = await getStorageFor(location).getDownloadUrl(location, expiresIn);
+            const baseUrl = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+            res.json({
+                url: presignedUrl || `${baseUrl}/api/download/${jobId}`,
+                presigned: !!presignedUrl,
+                expiresAt: presignedUrl ? new Date(Date.now() + expiresIn * 1000).toISOString() : null,
+                fileName: location.fileName,
+                size: location.size ?? null
+            });
         } catch (error) {
-            console.error(`[Download Job ${jobId}] Error serving file:`, error);
-            res.status(500).json({ error: 'Error serving file' });
+            logger.error(`[Download Job ${jobId}] Error creating download URL:`, error);
+            res.status(500).json({ error: 'Error creating download URL' });
+        }
+    });
+
+    router.get('/download/:jobId', downloadHandler);
+
+    // Download PDF endpoint (alias for download to match frontend expectations)
+    router.get('/download-pdf/:jobId', downloadHandler);
+
+    // Admin: disk usage of jobs and uploaded images, retention settings and the last cleanup
+    const requireAdmin = (req, res, next) => {
+        if (!isAdmin(req.user)) {
+            logger.warn(`[Auth] User ${req.user.id} denied access to ${req.path}`);
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+        next();
+    };
+
+    router.get('/admin/storage', requireAdmin, async (req, res) => {
+        try {
+            res.json(await getStorageReport());
+        } catch (error) {
+            logger.error('[Admin] Error building storage report:', error);
+            res.status(500).json({ error: 'Error reading disk usage' });
+        }
+    });
+
+    // Admin: run a cleanup pass now instead of waiting for CLEANUP_INTERVAL_MS
+    router.post('/admin/cleanup', requireAdmin, async (req, res) => {
+        try {
+            const result = await runCleanup();
+            logger.info(`[Admin] Cleanup triggered by ${req.user.id}: removed ${result.removedJobs.length} jobs`);
+            res.json(result);
+        } catch (error) {
+            logger.error('[Admin] Cleanup failed:', error);
+            res.status(500).json({ error: 'Cleanup failed' });
         }
     });
 }
\ No newline at end of file
@@ -0,0 +1,188 @@
+// Cache of rendered pages, for incremental re-exports.
+// Every page is keyed by a hash of everything that decides how it renders: its single-page
+// project state (images included, uploaded ones by their SHA-256), the canvas size and the
+// render settings (resolution, output mode, image format, creator URL, renderer version). When a project is
+// exported again, pages whose hash is cached are copied from here instead of rendered, so
+// fixing one speech bubble re-renders one page. Least recently used pages are evicted once the
+// cache grows past RENDER_CACHE_MB (0 turns the cache off).
+// The renderer's code is part of how a page looks, so the cache only runs when the renderer has a
+// known version (RENDERER=local) or RENDER_CACHE_VERSION is set: the live creator at
+// COMIC_CREATOR_URL can be redeployed under the same URL, and operators bump RENDER_CACHE_VERSION
+// with each deploy to stop serving pages the old creator drew.
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { config } from 'dotenv';
+import { logger } from './logger.js';
+
+// Load environment variables
+config();
+
+// Evict least recently used pages once the cache is larger than this (MB)
+const MAX_CACHE_MB = parseInt(process.env.RENDER_CACHE_MB ?? '1024', 10) || 0;
+// Part of every page hash; changing it retires every cached page
+export const RENDER_CACHE_VERSION = process.env.RENDER_CACHE_VERSION || null;
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Hash identifying a rendered page
+ * @param {object} singlePageState - State from createSinglePageProjectState
+ * @param {object} renderSettings - Everything else that changes the output (viewport, output mode, image format, ...)
+ * @returns {string} - Hex SHA-256
+ */
+export function hashRenderedPage(singlePageState, renderSettings) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify(renderSettings))
+        .update('\n')
+        .update(JSON.stringify(singlePageState))
+        .digest('hex');
+}
+
+export class RenderCache {
+    /**
+     * @param {string} cacheDir - Where rendered pages are kept
+     * @param {string|null} rendererVersion - Version of the renderer drawing the pages (null when unknown)
+     */
+    constructor(cacheDir, rendererVersion = null) {
+        this.cacheDir = cacheDir;
+        this.versioned = !!(rendererVersion || RENDER_CACHE_VERSION);
+        this.enabled = MAX_CACHE_MB > 0 && this.versioned;
+        this.maxBytes = MAX_CACHE_MB * 1024 * 1024;
+        this.index = new Map(); // hash -> { size, extension, lastUsed }, in least recently used order
+        this.totalBytes = 0;
+    }
+
+    // Rebuild the LRU index from disk; file mtimes carry last use across restarts
+    async init() {
+        if (!this.enabled) {
+            logger.info(MAX_CACHE_MB === 0
+                ? '[RenderCache] Disabled (RENDER_CACHE_MB=0)'
+                : '[RenderCache] Disabled: the remote creator\'s version is unknown, so cached pages could outlive a redeploy. Set RENDER_CACHE_VERSION (and change it with every creator deploy) or use RENDERER=local');
+            return;
+        }
+        await fs.ensureDir(this.cacheDir);
+        const entries = [];
+        for (const prefix of await fs.readdir(this.cacheDir)) {
+            const dir = path.join(this.cacheDir, prefix);
+            if (!(await fs.stat(dir)).isDirectory()) {
+                continue;
+            }
+            for (const file of await fs.readdir(dir)) {
+                const [hash, extension] = file.split('.');
+                if (HASH_PATTERN.test(hash) && extension !== 'json') {
+                    const { size, mtimeMs } = await fs.stat(path.join(dir, file));
+                    entries.push({ hash, size, extension, lastUsed: mtimeMs });
+                }
+            }
+        }
+        entries.sort((a, b) => a.lastUsed - b.lastUsed)
+            .forEach(({ hash, size, extension, lastUsed }) => this.addToIndex(hash, { size, extension, lastUsed }));
+        logger.info(`[RenderCache] Caching rendered pages at ${this.cacheDir}: ${this.index.size} pages, ${Math.round(this.totalBytes / 1024 / 1024)}MB of ${MAX_CACHE_MB}MB`);
+    }
+
+    pagePath(hash, extension) {
+        return path.join(this.cacheDir, hash.slice(0, 2), `${hash}.${extension}`);
+    }
+
+    // Image metrics of the render (print DPI checks), kept next to the page
+    metadataPath(hash) {
+        return path.join(this.cacheDir, hash.slice(0, 2), `${hash}.json`);
+    }
+
+    addToIndex(hash, entry) {
+        this.removeFromIndex(hash);
+        this.index.set(hash, entry);
+        this.totalBytes += entry.size;
+    }
+
+    removeFromIndex(hash) {
+        const entry = this.index.get(hash);
+        if (entry) {
+            this.index.delete(hash);
+            this.totalBytes -= entry.size;
+        }
+    }
+
+    /**
+     * Copy a cached page to where the export expects it
+     * @param {string} hash - hashRenderedPage() of the page
+     * @param {string} targetPath - The job's page file (its extension must match the cached one)
+     * @returns {Promise<object|null>} - { imageMetrics } of the cached render, or null on a miss
+     */
+    async restore(hash, targetPath) {
+        const entry = this.index.get(hash);
+        if (!entry || path.extname(targetPath) !== `.${entry.extension}`) {
+            return null;
+        }
+        try {
+            const { imageMetrics = null } = await fs.readJson(this.metadataPath(hash)).catch(() => ({}));
+            await fs.copy(this.pagePath(hash, entry.extension), targetPath);
+            // Re-insert to move it to the most recently used end of the Map
+            const now = new Date();
+            this.addToIndex(hash, { ...entry, lastUsed: now.getTime() });
+            await fs.utimes(this.pagePath(hash, entry.extension), now, now).catch(() => {});
+            return { imageMetrics };
+        } catch (error) {
+            // Deleted behind our back: forget it and render the page
+            logger.warn(`[RenderCache] Could not restore cached page ${hash}:`, error.message);
+            this.removeFromIndex(hash);
+            return null;
+        }
+    }
+
+    /**
+     * Keep a freshly rendered page for later exports
+     * @param {string} hash - hashRenderedPage() of the page
+     * @param {string} sourcePath - Rendered page file (copied, the job still needs it)
+     * @param {object} metadata - { imageMetrics }
+     */
+    async store(hash, sourcePath, metadata) {
+        if (!this.enabled) {
+            return;
+        }
+        const extension = path.extname(sourcePath).slice(1);
+        try {
+            const { size } = await fs.stat(sourcePath);
+            await fs.outputJson(this.metadataPath(hash), metadata);
+            await fs.copy(sourcePath, this.pagePath(hash, extension));
+            this.addToIndex(hash, { size, extension, lastUsed: Date.now() });
+        } catch (error) {
+            // Only costs a re-render next time
+            logger.warn(`[RenderCache] Could not cache page ${hash}:`, error.message);
+            return;
+        }
+        await this.evict();
+    }
+
+    // Delete least recently used pages until the cache fits in RENDER_CACHE_MB
+    async evict() {
+        if (this.totalBytes <= this.maxBytes) {
+            return;
+        }
+        let evicted = 0;
+        // Map iteration order is least recently used first
+        for (const [hash, entry] of [...this.index]) {
+            if (this.totalBytes <= this.maxBytes) {
+                break;
+            }
+            this.removeFromIndex(hash);
+            await fs.remove(this.pagePath(hash, entry.extension));
+            await fs.remove(this.metadataPath(hash));
+            evicted++;
+        }
+        logger.info(`[RenderCache] Evicted ${evicted} least recently used pages, cache now ${Math.round(this.totalBytes / 1024 / 1024)}MB`);
+    }
+
+    // Size of the cache, for the admin storage report
+    getUsage() {
+        return {
+            enabled: this.enabled,
+            directory: this.cacheDir,
+            pages: this.index.size,
+            totalBytes: this.totalBytes,
+            maxBytes: this.maxBytes
+        };
+    }
+}
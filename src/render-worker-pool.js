@@ -0,0 +1,164 @@
+// Pool of render worker processes (RENDER_MODE=worker).
+// Each worker renders one page at a time; a worker that dies mid-page fails only
+// that page and is replaced for the next one.
+
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import { config } from 'dotenv';
+import { applyForwardedMetric } from './metrics.js';
+import { logger, getLogContext } from './logger.js';
+
+// Load environment variables
+config();
+
+const WORKER_SCRIPT = fileURLToPath(new URL('./render-worker.js', import.meta.url));
+// One worker per concurrently running export
+const POOL_SIZE = parseInt(process.env.EXPORT_CONCURRENCY, 10) || 1;
+// How long a worker gets to close its browser on shutdown before it is killed
+const SHUTDOWN_TIMEOUT_MS = 10000;
+// How long a worker gets to stop a cancelled render before it is killed. Longer than
+// puppeteer's 30s launch timeout, so a worker is never killed with a browser half started.
+const CANCEL_TIMEOUT_MS = 40000;
+
+class RenderWorkerPool {
+    constructor() {
+        this.workers = [];
+        this.waiters = [];
+        this.maxWorkers = POOL_SIZE;
+        this.nextTaskId = 1;
+    }
+
+    spawnWorker() {
+        const child = fork(WORKER_SCRIPT, [], {
+            // Each worker renders one page at a time, so one browser is enough
+            env: { ...process.env, BROWSER_POOL_SIZE: '1' },
+            serialization: 'advanced'
+        });
+        const worker = { child, busy: false, task: null };
+        child.on('message', (message) => this.handleMessage(worker, message));
+        child.on('exit', (code, signal) => this.handleExit(worker, code, signal));
+        this.workers.push(worker);
+        logger.info(`[RenderWorkerPool] Started render worker ${child.pid} (${this.workers.length}/${this.maxWorkers})`);
+        return worker;
+    }
+
+    // Urgent renders (previews) go ahead of those already waiting
+    async acquireWorker(urgent = false) {
+        let worker = this.workers.find(candidate => !candidate.busy);
+        if (!worker && this.workers.length < this.maxWorkers) {
+            worker = this.spawnWorker();
+        }
+        if (!worker) {
+            worker = await new Promise(resolve => (urgent ? this.waiters.unshift(resolve) : this.waiters.push(resolve)));
+        }
+        worker.busy = true;
+        return worker;
+    }
+
+    // Hand a free worker to the next waiting render, or spawn one to replace a dead worker
+    releaseWorker(worker) {
+        worker.busy = false;
+        worker.task = null;
+        const next = this.waiters.shift();
+        if (next) {
+            next(this.workers.includes(worker) ? worker : this.spawnWorker());
+        }
+    }
+
+    /**
+     * Render a page in a worker process. Same arguments and result as capturePageAsImage;
+     * renderOptions.signal stops the render mid-page (the worker kills its Chromium, or is
+     * killed itself if it doesn't respond).
+     */
+    async render(comicCreatorUrl, outputDirectory, projectState, outputPath, renderOptions = {}) {
+        const { signal, ...options } = renderOptions;
+        if (signal?.aborted) {
+            throw new Error('Export cancelled');
+        }
+
+        const worker = await this.acquireWorker(options.urgent);
+        const id = this.nextTaskId++;
+
+        return new Promise((resolve, reject) => {
+            let killTimer = null;
+            const onAbort = () => {
+                worker.child.send({ type: 'cancel', id });
+                killTimer = setTimeout(() => {
+                    logger.info(`[RenderWorkerPool] Killing render worker ${worker.child.pid}: cancelled render did not stop`);
+                    worker.child.kill('SIGKILL');
+                }, CANCEL_TIMEOUT_MS);
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            worker.task = {
+                id,
+                resolve,
+                reject,
+                signal,
+                cleanup: () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    clearTimeout(killTimer);
+                }
+            };
+            worker.child.send({ type: 'render', id, args: [comicCreatorUrl, outputDirectory, projectState, outputPath, { ...options, logContext: getLogContext() }] });
+        });
+    }
+
+    handleMessage(worker, message) {
+        if (message.type === 'metric') {
+            applyForwardedMetric(message.update);
+            return;
+        }
+        const task = worker.task;
+        if (!task || task.id !== message.id) {
+            return;
+        }
+        task.cleanup();
+        this.releaseWorker(worker);
+        if (message.type === 'result') {
+            task.resolve(message.result);
+        } else {
+            task.reject(new Error(message.message));
+        }
+    }
+
+    handleExit(worker, code, signal) {
+        // A worker already taken out of the pool must not take a live one with it
+        const index = this.workers.indexOf(worker);
+        if (index >= 0) {
+            this.workers.splice(index, 1);
+        }
+        const task = worker.task;
+        if (!task) {
+            logger.info(`[RenderWorkerPool] Render worker ${worker.child.pid} exited (code ${code}, signal ${signal})`);
+            return;
+        }
+
+        task.cleanup();
+        this.releaseWorker(worker);
+        if (task.signal?.aborted) {
+            task.reject(new Error('Export cancelled'));
+        } else {
+            logger.error(`[RenderWorkerPool] Render worker ${worker.child.pid} crashed mid-page (code ${code}, signal ${signal})`);
+            task.reject(new Error(`Render worker exited unexpectedly (code ${code}, signal ${signal})`));
+        }
+    }
+
+    /**
+     * Stop every worker (used on server shutdown)
+     */
+    async shutdown() {
+        await Promise.all(this.workers.map(({ child }) => new Promise(resolve => {
+            const timer = setTimeout(() => child.kill('SIGKILL'), SHUTDOWN_TIMEOUT_MS);
+            child.once('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            child.send({ type: 'shutdown' });
+        })));
+    }
+}
+
+// Export a singleton instance
+const renderWorkerPool = new RenderWorkerPool();
+export default renderWorkerPool;
@@ -0,0 +1,48 @@
+// Render worker process (RENDER_MODE=worker).
+// Runs capturePageAsImage with its own browser pool, so a Chromium crash or
+// runaway memory only takes down this process, never the Express server.
+// Talks to render-worker-pool.js over the IPC channel.
+
+import { logger, runWithLogContext } from './logger.js';
+import { capturePageAsImage } from './page-renderer.js';
+import browserPool from './browser-pool.js';
+import { forwardMetrics } from './metrics.js';
+
+// Metrics (browser launch times) are recorded by the server process, which serves /metrics
+forwardMetrics(update => process.send({ type: 'metric', update }));
+
+async function shutdown(code) {
+    await browserPool.shutdown();
+    process.exit(code);
+}
+
+// Render in progress: { id, controller } so a cancel can stop it (and its Chromium) mid-page
+let currentRender = null;
+
+process.on('message', async (message) => {
+    if (message.type === 'render') {
+        const [comicCreatorUrl, outputDirectory, projectState, outputPath, renderOptions] = message.args;
+        const controller = new AbortController();
+        currentRender = { id: message.id, controller };
+        try {
+            // Lines from this render carry the job and page it belongs to
+            const result = await runWithLogContext(renderOptions.logContext || {}, () => capturePageAsImage(comicCreatorUrl, outputDirectory, projectState, outputPath, { ...renderOptions, signal: controller.signal }));
+            process.send({ type: 'result', id: message.id, result });
+        } catch (error) {
+            process.send({ type: 'error', id: message.id, message: error.message });
+        } finally {
+            currentRender = null;
+        }
+    } else if (message.type === 'cancel') {
+        if (currentRender && currentRender.id === message.id) {
+            currentRender.controller.abort();
+        }
+    } else if (message.type === 'shutdown') {
+        await shutdown(0);
+    }
+});
+
+// The server went away: don't leave a browser running
+process.on('disconnect', () => shutdown(0));
+
+logger.info(`[RenderWorker ${process.pid}] Ready`);
@@ -0,0 +1,95 @@
+// Retention settings and disk accounting for finished export jobs.
+// A finished job (its record, output directory and stored file) is deleted once it is older than
+// the retention for its status. EXPORT_MAX_DISK_MB also caps the space all job output directories
+// may take; above it the oldest finished jobs are deleted first. Unfinished jobs are never touched.
+
+import fs from 'fs-extra';
+import path from 'path';
+import { statfs } from 'fs/promises';
+import { config } from 'dotenv';
+
+// Load environment variables
+config();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a finished job is kept, by status
+export const RETENTION_MS = {
+    complete: parseInt(process.env.RETENTION_COMPLETE_MS, 10) || HOUR_MS,
+    // Kept longer so failures can be looked into (error-screenshot.png, rendered pages)
+    error: parseInt(process.env.RETENTION_ERROR_MS, 10) || 24 * HOUR_MS,
+    cancelled: parseInt(process.env.RETENTION_CANCELLED_MS, 10) || HOUR_MS
+};
+// How often expired jobs are looked for
+export const CLEANUP_INTERVAL_MS = parseInt(process.env.CLEANUP_INTERVAL_MS, 10) || 15 * 60 * 1000;
+// Space job output directories may take in total (0 = no cap)
+export const MAX_DISK_BYTES = (parseInt(process.env.EXPORT_MAX_DISK_MB, 10) || 0) * 1024 * 1024;
+
+// Job output directories are named export_<timestamp>_<jobId>
+const JOB_DIR_PATTERN = /^export_\d+_/;
+
+/**
+ * Whether a finished job has outlived its retention
+ * @param {object} job - Job record
+ * @param {number} now - Current time (ms)
+ * @returns {boolean}
+ */
+export function isExpired(job, now) {
+    const retention = RETENTION_MS[job.status];
+    return retention !== undefined && now - (job.lastUpdated || 0) > retention;
+}
+
+/**
+ * Total size of the files under a directory
+ * @param {string} directory - Directory to measure
+ * @returns {Promise<number>} - Bytes (0 if the directory doesn't exist)
+ */
+export async function getDirectorySize(directory) {
+    let entries;
+    try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return 0;
+        }
+        throw error;
+    }
+    let total = 0;
+    for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            total += await getDirectorySize(entryPath);
+        } else if (entry.isFile()) {
+            total += (await fs.stat(entryPath).catch(() => ({ size: 0 }))).size;
+        }
+    }
+    return total;
+}
+
+/**
+ * Job output directories that no known job refers to (left behind by a crash, or by jobs
+ * removed before their directory could be deleted)
+ * @param {string} outputDirBase - Export output directory
+ * @param {Set<string>} knownDirectories - jobOutputDir of every job in memory
+ * @returns {Promise<string[]>} - Absolute paths
+ */
+export async function findOrphanDirectories(outputDirBase, knownDirectories) {
+    const entries = await fs.readdir(outputDirBase, { withFileTypes: true });
+    return entries
+        .filter(entry => entry.isDirectory() && JOB_DIR_PATTERN.test(entry.name))
+        .map(entry => path.join(outputDirBase, entry.name))
+        .filter(directory => !knownDirectories.has(path.resolve(directory)));
+}
+
+/**
+ * Free and total space on the filesystem holding a directory
+ * @returns {Promise<{ freeBytes: number, totalBytes: number }|null>} - null if the platform can't tell
+ */
+export async function getFilesystemUsage(directory) {
+    try {
+        const stats = await statfs(directory);
+        return { freeBytes: stats.bavail * stats.bsize, totalBytes: stats.blocks * stats.bsize };
+    } catch (error) {
+        return null;
+    }
+}
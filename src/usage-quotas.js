@@ -0,0 +1,133 @@
+// Per-user daily export quotas.
+// Counts jobs and pages accepted per user per UTC day; limits come from
+// QUOTA_DAILY_JOBS and QUOTA_DAILY_PAGES (unset or 0 means unlimited).
+// Previews have their own daily count (QUOTA_DAILY_PREVIEWS), so editing doesn't use up export pages.
+
+import { config } from 'dotenv';
+import { logger } from './logger.js';
+
+// Load environment variables
+config();
+
+function currentDay() {
+    return new Date().toISOString().slice(0, 10); // YYYY-MM-DD (UTC)
+}
+
+function nextResetTime() {
+    const reset = new Date();
+    reset.setUTCHours(24, 0, 0, 0);
+    return reset;
+}
+
+export class UsageQuotas {
+    /**
+     * @param {object} jobStore - Store with saveUsage()/loadUsage(), so counters survive restarts
+     */
+    constructor(jobStore) {
+        this.jobStore = jobStore;
+        this.maxJobsPerDay = parseInt(process.env.QUOTA_DAILY_JOBS, 10) || 0;
+        this.maxPagesPerDay = parseInt(process.env.QUOTA_DAILY_PAGES, 10) || 0;
+        this.maxPreviewsPerDay = parseInt(process.env.QUOTA_DAILY_PREVIEWS, 10) || 0;
+        this.usage = { day: currentDay(), users: {} };
+        this.pendingSave = Promise.resolve();
+    }
+
+    async init() {
+        const saved = await this.jobStore.loadUsage();
+        if (saved && saved.day === currentDay()) {
+            this.usage = saved;
+        }
+        logger.info(`[Quotas] Daily limits per user: ${this.maxJobsPerDay || 'unlimited'} jobs, ${this.maxPagesPerDay || 'unlimited'} pages, ${this.maxPreviewsPerDay || 'unlimited'} previews`);
+    }
+
+    getUserUsage(userId) {
+        if (this.usage.day !== currentDay()) {
+            this.usage = { day: currentDay(), users: {} };
+        }
+        // Counters saved before previews were counted have no previews field
+        return { jobs: 0, pages: 0, previews: 0, ...this.usage.users[userId] };
+    }
+
+    /**
+     * Count a new job against the user's quota if it fits
+     * @param {string} userId - Job owner
+     * @param {number} pages - Pages the job will render
+     * @returns {object} - { allowed, reason, usage: { jobs, pages }, limits: { jobs, pages }, resetAt, retryAfterSeconds }
+     */
+    consume(userId, pages) {
+        const usage = this.getUserUsage(userId);
+        const resetAt = nextResetTime();
+        const result = {
+            allowed: true,
+            reason: null,
+            usage,
+            limits: { jobs: this.maxJobsPerDay || null, pages: this.maxPagesPerDay || null },
+            resetAt: resetAt.toISOString(),
+            retryAfterSeconds: Math.ceil((resetAt.getTime() - Date.now()) / 1000)
+        };
+
+        if (this.maxJobsPerDay && usage.jobs + 1 > this.maxJobsPerDay) {
+            return { ...result, allowed: false, reason: `Daily export limit of ${this.maxJobsPerDay} jobs reached` };
+        }
+        if (this.maxPagesPerDay && usage.pages + pages > this.maxPagesPerDay) {
+            return { ...result, allowed: false, reason: `Daily limit of ${this.maxPagesPerDay} pages reached (${usage.pages} used, this export needs ${pages})` };
+        }
+
+        const updated = { ...usage, jobs: usage.jobs + 1, pages: usage.pages + pages };
+        this.usage.users[userId] = updated;
+        this.save();
+        return { ...result, usage: updated };
+    }
+
+    /**
+     * Count a rendered preview against the user's quota if it fits (previews served from cache are free)
+     * @param {string} userId - Requesting user
+     * @returns {object} - { allowed, reason, usage: { previews }, limits: { previews }, resetAt, retryAfterSeconds }
+     */
+    consumePreview(userId) {
+        const usage = this.getUserUsage(userId);
+        const resetAt = nextResetTime();
+        const result = {
+            allowed: true,
+            reason: null,
+            usage: { previews: usage.previews },
+            limits: { previews: this.maxPreviewsPerDay || null },
+            resetAt: resetAt.toISOString(),
+            retryAfterSeconds: Math.ceil((resetAt.getTime() - Date.now()) / 1000)
+        };
+
+        if (this.maxPreviewsPerDay && usage.previews + 1 > this.maxPreviewsPerDay) {
+            return { ...result, allowed: false, reason: `Daily preview limit of ${this.maxPreviewsPerDay} reached` };
+        }
+
+        this.usage.users[userId] = { ...usage, previews: usage.previews + 1 };
+        this.save();
+        return { ...result, usage: { previews: usage.previews + 1 } };
+    }
+
+    // Give back a job that was counted but never accepted (e.g. it could not be saved)
+    refund(userId, pages) {
+        const usage = this.getUserUsage(userId);
+        this.usage.users[userId] = {
+            ...usage,
+            jobs: Math.max(usage.jobs - 1, 0),
+            pages: Math.max(usage.pages - pages, 0)
+        };
+        this.save();
+    }
+
+    // Give back a preview whose render failed
+    refundPreview(userId) {
+        const usage = this.getUserUsage(userId);
+        this.usage.users[userId] = { ...usage, previews: Math.max(usage.previews - 1, 0) };
+        this.save();
+    }
+
+    save() {
+        const snapshot = JSON.parse(JSON.stringify(this.usage));
+        this.pendingSave = this.pendingSave
+            .then(() => this.jobStore.saveUsage(snapshot))
+            .catch(error => logger.error('[Quotas] Error saving usage counters:', error.message));
+        return this.pendingSave;
+    }
+}
@@ -0,0 +1,167 @@
+// Webhook notifications for finished export jobs.
+// A job submitted with a callbackUrl gets a signed JSON POST when it reaches complete,
+// error or cancelled. Receivers verify it with WEBHOOK_SECRET:
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>">
+// Failed deliveries are retried with exponential backoff.
+
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { config } from 'dotenv';
+import { logger } from './logger.js';
+
+// Load environment variables
+config();
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+// Deliveries tried at most this many times
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+// Wait before the first retry; each later retry waits 4x longer (5s, 20s, 80s, ...)
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 5000;
+// Download links in payloads stay valid this long, well past the last retry (S3 allows at most 7 days)
+export const DOWNLOAD_URL_EXPIRES = Math.min(parseInt(process.env.WEBHOOK_DOWNLOAD_URL_EXPIRES, 10) || 86400, 604800);
+// A receiver that doesn't answer within this counts as a failed attempt
+const REQUEST_TIMEOUT_MS = 10000;
+// Callbacks to localhost and private networks are refused unless explicitly allowed
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Statuses worth retrying; other 4xx answers mean the receiver rejected the payload for good
+const RETRYABLE_STATUS_CODES = [408, 425, 429];
+
+const privateNetworks = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4]
+].forEach(([address, prefix]) => privateNetworks.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateNetworks.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    return mapped ? privateNetworks.check(mapped[1], 'ipv4') : privateNetworks.check(address, family);
+}
+
+/**
+ * Check a callbackUrl from an export request
+ * @param {*} value - Submitted callbackUrl
+ * @returns {string|null} - Normalised URL, or null when none was given
+ * @throws {Error} - If the URL is unusable
+ */
+export function validateCallbackUrl(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (!WEBHOOK_SECRET) {
+        throw new Error('callbackUrl is not available: the server has no WEBHOOK_SECRET configured');
+    }
+    let url;
+    try {
+        url = new URL(String(value));
+    } catch (error) {
+        throw new Error(`Invalid callbackUrl "${value}"`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        throw new Error('callbackUrl must be an http(s) URL');
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (!ALLOW_PRIVATE_HOSTS && (host === 'localhost' || (net.isIP(host) && isPrivateAddress(host)))) {
+        throw new Error('callbackUrl must not point at localhost or a private network');
+    }
+    return url.toString();
+}
+
+/**
+ * X-Webhook-Signature value for a payload
+ * @param {string} body - Exact JSON body that will be sent
+ * @param {number} timestamp - Unix seconds, also sent as X-Webhook-Timestamp
+ * @returns {string} - "sha256=<hex>"
+ */
+export function signPayload(body, timestamp) {
+    const hmac = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${hmac}`;
+}
+
+// Hostnames are resolved at delivery time too, so DNS can't be used to reach private networks
+async function assertPublicDestination(url) {
+    if (ALLOW_PRIVATE_HOSTS) {
+        return;
+    }
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error(`${host} resolves to a private network address`);
+    }
+}
+
+/**
+ * POST the payload once
+ * @returns {Promise<object>} - Attempt record: { attempt, at, statusCode, error, durationMs, retryable }
+ */
+async function attemptDelivery(url, payload, attempt) {
+    const startedAt = Date.now();
+    const record = { attempt, at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: 0, retryable: false };
+    try {
+        await assertPublicDestination(url);
+        const body = JSON.stringify(payload);
+        const timestamp = Math.floor(startedAt / 1000);
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'comic-pro-pdf-service',
+                'X-Webhook-Id': `${payload.jobId}.${payload.status}`, // Same on every retry, for de-duplication
+                'X-Webhook-Attempt': String(attempt),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(body, timestamp)
+            },
+            body,
+            redirect: 'manual', // A redirect could point anywhere; receivers must answer directly
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        record.statusCode = response.status;
+        await response.body?.cancel();
+        if (response.status >= 300) {
+            record.error = `Receiver answered ${response.status}`;
+            record.retryable = response.status >= 500 || RETRYABLE_STATUS_CODES.includes(response.status);
+        }
+    } catch (error) {
+        // Network errors, timeouts and DNS failures may be temporary
+        record.retryable = true;
+        record.error = error.name === 'TimeoutError' ? `No answer within ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+    }
+    record.durationMs = Date.now() - startedAt;
+    return record;
+}
+
+/**
+ * Deliver a webhook, retrying with backoff until it succeeds, fails permanently or runs out of attempts
+ * @param {string} url - callbackUrl
+ * @param {object} payload - JSON payload (must have jobId and status)
+ * @param {object} options - { previousAttempts: attempts already made (when resuming after a restart), onAttempt(record, state) }
+ * @returns {Promise<string>} - 'delivered' or 'failed'
+ */
+export async function deliverWebhook(url, payload, { previousAttempts = 0, onAttempt = () => {} } = {}) {
+    for (let attempt = previousAttempts + 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        if (attempt > 1) {
+            await new Promise(resolve => setTimeout(resolve, RETRY_BASE_MS * (4 ** (attempt - 2))));
+        }
+        const record = await attemptDelivery(url, payload, attempt);
+        const delivered = !record.error;
+        const finalAttempt = delivered || !record.retryable || attempt === MAX_ATTEMPTS;
+        const state = delivered ? 'delivered' : (finalAttempt ? 'failed' : 'retrying');
+        onAttempt(record, state);
+        if (delivered) {
+            logger.info(`[Webhooks] Delivered ${payload.status} for job ${payload.jobId} to ${url} (attempt ${attempt})`);
+            return 'delivered';
+        }
+        logger.warn(`[Webhooks] Attempt ${attempt}/${MAX_ATTEMPTS} for job ${payload.jobId} failed: ${record.error}`);
+        if (finalAttempt) {
+            break;
+        }
+    }
+    logger.error(`[Webhooks] Giving up on ${payload.status} webhook for job ${payload.jobId}`);
+    return 'failed';
+}
@@ -0,0 +1,80 @@
+// Preview quota: runs the service with a one-preview daily limit and a creator URL nothing listens on,
+// so every render fails, and checks that failed renders don't use up the limit.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs-extra';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'server.js');
+
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+// Start server.js and wait until it listens
+async function startServer(env) {
+    const server = spawn(process.execPath, [SERVER_PATH], { env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 30000);
+        const onData = chunk => {
+            output += chunk;
+            if (output.includes('running on port')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        server.stdout.on('data', onData);
+        server.stderr.on('data', onData);
+        server.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+    return server;
+}
+
+test('failed preview renders are not counted against the daily preview limit', async () => {
+    const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'preview-quota-'));
+    const port = await findFreePort();
+    const server = await startServer({
+        PORT: String(port),
+        EXPORT_OUTPUT_DIR: outputDir,
+        LOG_FORMAT: 'text',
+        RENDERER: 'remote',
+        COMIC_CREATOR_URL: 'http://127.0.0.1:9/', // Refuses connections
+        QUOTA_DAILY_PREVIEWS: '1',
+        API_KEYS: '',
+        JWT_SECRET: '',
+        JWT_PUBLIC_KEY: ''
+    });
+
+    try {
+        const preview = () => fetch(`http://127.0.0.1:${port}/api/preview`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ version: 1, pages: [{}], images: [], canvasWidth: 700, canvasHeight: 700 })
+        });
+
+        // With a limit of one, a second counted render would get 429
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            const response = await preview();
+            assert.equal(response.status, 500, `attempt ${attempt}`);
+        }
+    } finally {
+        server.kill();
+        await new Promise(resolve => server.once('exit', resolve));
+        await fs.remove(outputDir);
+    }
+});
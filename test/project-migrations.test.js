@@ -0,0 +1,81 @@
+// Project state migrations: one test per upgrade step, plus the rejection of versions this service doesn't know.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateProjectState, getProjectVersion, ProjectVersionError, CURRENT_PROJECT_VERSION } from '../src/project-migrations.js';
+
+test('step 0 -> 1 fills in images and the legacy canvas size', () => {
+    const submitted = { pages: [{ panelStates: [] }] };
+    const { projectState, fromVersion, applied } = migrateProjectState(submitted);
+
+    assert.deepEqual(projectState.images, []);
+    assert.equal(projectState.canvasWidth, 700);
+    assert.equal(projectState.canvasHeight, 700);
+    assert.equal(projectState.version, 1);
+    assert.equal(fromVersion, 0);
+    assert.equal(applied.length, 1);
+});
+
+test('step 0 -> 1 keeps images and canvas size the state already has', () => {
+    const images = [{ id: 'a', dataUrl: 'data:image/png;base64,' }];
+    const { projectState } = migrateProjectState({ pages: [{}], images, canvasWidth: 1200, canvasHeight: 1800 });
+
+    assert.equal(projectState.images, images);
+    assert.equal(projectState.canvasWidth, 1200);
+    assert.equal(projectState.canvasHeight, 1800);
+});
+
+test('the submitted state is left unchanged', () => {
+    const submitted = { pages: [{}] };
+    const { projectState } = migrateProjectState(submitted);
+
+    assert.notEqual(projectState, submitted);
+    assert.deepEqual(submitted, { pages: [{}] });
+});
+
+test('a current state is passed through without steps', () => {
+    const submitted = { version: CURRENT_PROJECT_VERSION, pages: [{}], images: [] };
+    const { projectState, fromVersion, applied } = migrateProjectState(submitted);
+
+    assert.equal(projectState, submitted);
+    assert.equal(fromVersion, CURRENT_PROJECT_VERSION);
+    assert.deepEqual(applied, []);
+});
+
+test('numeric string versions are read as numbers', () => {
+    assert.equal(getProjectVersion({ version: '1' }), 1);
+    assert.equal(getProjectVersion({ version: '1.0' }), 1);
+    assert.equal(getProjectVersion({}), 0);
+});
+
+test('a newer version is rejected with the submitted and supported version', () => {
+    const submitted = { version: CURRENT_PROJECT_VERSION + 2, pages: [{}], images: [] };
+
+    assert.throws(() => migrateProjectState(submitted), error => {
+        assert.ok(error instanceof ProjectVersionError);
+        assert.equal(error.statusCode, 400);
+        assert.equal(error.version, CURRENT_PROJECT_VERSION + 2);
+        assert.match(error.message, /newer than this export service supports \(up to 1\)/);
+        return true;
+    });
+});
+
+test('a version that is not a whole number is rejected', () => {
+    for (const version of ['1.2.0', 1.5, -1, 'beta']) {
+        const submitted = { version, pages: [{}], images: [] };
+
+        assert.throws(() => getProjectVersion(submitted), ProjectVersionError);
+        assert.throws(() => migrateProjectState(submitted), error => {
+            assert.ok(error instanceof ProjectVersionError);
+            assert.equal(error.statusCode, 400);
+            assert.equal(error.version, version);
+            return true;
+        });
+    }
+});
+
+test('states that are not objects are passed on for validation', () => {
+    for (const value of [null, 'pages', []]) {
+        assert.deepEqual(migrateProjectState(value), { projectState: value, fromVersion: null, applied: [] });
+    }
+});